@@ -1,4 +1,4 @@
-const CACHE_NAME = 'whatsapp-pwa-v1';
+const CACHE_NAME = 'whatsapp-pwa-v2';
 const urlsToCache = [
     '/',
     '/index.html',
@@ -44,3 +44,38 @@ self.addEventListener('fetch', (event) => {
             })
     );
 });
+
+// Web Push: show a notification for a new message
+self.addEventListener('push', (event) => {
+    const data = event.data ? event.data.json() : {};
+    event.waitUntil(
+        self.registration.showNotification(data.title || 'Nova mensagem', {
+            body: data.body || '',
+            icon: '/icons/icon.svg',
+            badge: '/icons/icon.svg',
+            tag: data.tag,
+            renotify: true,
+            data: { accountId: data.accountId, jid: data.jid }
+        })
+    );
+});
+
+// Open the account and chat of the notification, reusing an open window if there is one
+self.addEventListener('notificationclick', (event) => {
+    event.notification.close();
+    const { accountId, jid } = event.notification.data || {};
+
+    event.waitUntil(
+        self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then((windowClients) => {
+            const client = windowClients.find((c) => c.url.startsWith(self.location.origin));
+            if (client) {
+                client.postMessage({ type: 'open-chat', accountId, jid });
+                return client.focus();
+            }
+            const params = new URLSearchParams();
+            if (accountId) params.set('account', accountId);
+            if (jid) params.set('chat', jid);
+            return self.clients.openWindow(`/?${params}`);
+        })
+    );
+});
@@ -0,0 +1,118 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const KEY_PREFIX = 'zzk_';
+
+function hashKey(key) {
+    return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+// API keys for external integrations. Only the hash is stored; the key itself
+// is shown once, when it is created.
+class ApiKeyManager {
+    constructor(folder) {
+        this.file = path.join(folder, 'api-keys.json');
+        this.keys = [];
+    }
+
+    load() {
+        try {
+            if (fs.existsSync(this.file)) {
+                this.keys = JSON.parse(fs.readFileSync(this.file, 'utf-8'));
+            }
+        } catch (err) {
+            console.error('Erro ao carregar chaves de API:', err);
+        }
+    }
+
+    save() {
+        try {
+            fs.writeFileSync(this.file, JSON.stringify(this.keys, null, 2));
+        } catch (err) {
+            console.error('Erro ao salvar chaves de API:', err);
+        }
+    }
+
+    list() {
+        return this.keys.map(k => this.toPublic(k));
+    }
+
+    // Create a key limited to some accounts ('*' means all, and must be
+    // asked for explicitly). Returns the plain key.
+    create({ name, accounts }) {
+        if (!name || !name.trim()) {
+            throw new Error('Informe um nome para a integração');
+        }
+        if (accounts === '*') accounts = ['*'];
+        if (!Array.isArray(accounts) || accounts.length === 0) {
+            throw new Error('Escolha as contas da integração');
+        }
+
+        const key = KEY_PREFIX + crypto.randomBytes(24).toString('base64url');
+        const entry = {
+            id: 'key_' + crypto.randomBytes(6).toString('hex'),
+            name: name.trim(),
+            prefix: key.slice(0, KEY_PREFIX.length + 6),
+            hash: hashKey(key),
+            accounts: accounts.includes('*') ? ['*'] : accounts,
+            createdAt: Date.now(),
+            lastUsedAt: null
+        };
+        this.keys.push(entry);
+        this.save();
+        return { key, entry: this.toPublic(entry) };
+    }
+
+    remove(id) {
+        const before = this.keys.length;
+        this.keys = this.keys.filter(k => k.id !== id);
+        if (this.keys.length !== before) this.save();
+    }
+
+    removeAccount(accountId) {
+        for (const entry of this.keys) {
+            entry.accounts = entry.accounts.filter(id => id !== accountId);
+        }
+        this.save();
+    }
+
+    verify(key) {
+        if (!key || !key.startsWith(KEY_PREFIX)) return null;
+        const hash = hashKey(key);
+        const entry = this.keys.find(k => k.hash === hash);
+        if (entry) {
+            entry.lastUsedAt = Date.now();
+        }
+        return entry || null;
+    }
+
+    canAccessAccount(entry, accountId) {
+        return entry.accounts.includes('*') || entry.accounts.includes(accountId);
+    }
+
+    // Express middleware that requires a valid X-API-Key header
+    middleware() {
+        return (req, res, next) => {
+            const entry = this.verify(req.get('X-API-Key'));
+            if (!entry) {
+                return res.status(401).json({ error: 'Chave de API inválida' });
+            }
+            req.apiKey = entry;
+            next();
+        };
+    }
+
+    toPublic(entry) {
+        return {
+            id: entry.id,
+            name: entry.name,
+            prefix: entry.prefix,
+            accounts: entry.accounts,
+            createdAt: entry.createdAt,
+            lastUsedAt: entry.lastUsedAt
+        };
+    }
+}
+
+module.exports = { ApiKeyManager };
@@ -0,0 +1,199 @@
+const express = require('express');
+
+const MAX_PAGE_SIZE = 200;
+
+function parseLimit(value, fallback) {
+    const limit = parseInt(value);
+    if (!limit || limit < 1) return fallback;
+    return Math.min(limit, MAX_PAGE_SIZE);
+}
+
+// Versioned REST API for integrations. It uses the same functions as the
+// Socket.IO handlers, passed in by the server.
+function createApiRouter({ accounts, apiKeys, webhooks, upload, getChatsPage, CHAT_FILTERS, getMessagesPage, formatMessage, sendChatMessage, checkWhatsAppNumber, sendChatExport }) {
+    const router = express.Router();
+
+    router.use(apiKeys.middleware());
+
+    // Resolve :accountId and check that the key may use it
+    router.param('accountId', (req, res, next, accountId) => {
+        const account = accounts.get(accountId);
+        if (!account || !apiKeys.canAccessAccount(req.apiKey, accountId)) {
+            return res.status(404).json({ error: 'Conta não encontrada' });
+        }
+        req.account = account;
+        next();
+    });
+
+    function requireConnected(req, res, next) {
+        if (req.account.connectionState !== 'connected') {
+            return res.status(409).json({ error: 'Conta não conectada' });
+        }
+        next();
+    }
+
+    router.get('/accounts', (req, res) => {
+        const list = Array.from(accounts.values())
+            .filter(acc => apiKeys.canAccessAccount(req.apiKey, acc.id))
+            .map(acc => acc.toJSON());
+        res.json({ accounts: list });
+    });
+
+    router.get('/accounts/:accountId/chats', requireConnected, async (req, res) => {
+        try {
+            const filter = req.query.filter || 'all';
+            if (!CHAT_FILTERS.includes(filter)) {
+                return res.status(400).json({ error: 'Filtro inválido' });
+            }
+            const offset = Math.max(0, parseInt(req.query.offset) || 0);
+            const page = await getChatsPage(req.account, {
+                offset,
+                limit: parseLimit(req.query.limit, 50),
+                search: req.query.search,
+                filter,
+                label: req.query.label
+            });
+            res.json({ ...page, offset });
+        } catch (err) {
+            console.error('API: erro ao listar conversas:', err);
+            res.status(500).json({ error: 'Erro ao listar conversas' });
+        }
+    });
+
+    router.get('/accounts/:accountId/chats/:jid/messages', async (req, res) => {
+        try {
+            const page = await getMessagesPage(req.account, req.params.jid, {
+                before: req.query.before,
+                beforeTimestamp: req.query.beforeTimestamp,
+                limit: parseLimit(req.query.limit, 50)
+            });
+            const messages = await Promise.all(page.messages.map(msg => formatMessage(req.account, msg)));
+            res.json({
+                messages,
+                hasMore: page.hasMore,
+                // While older messages are being fetched from the phone the page may
+                // be empty; asking again with the same cursor picks them up
+                nextCursor: page.hasMore ? messages[0]?.id || req.query.before || null : null
+            });
+        } catch (err) {
+            console.error('API: erro ao carregar mensagens:', err);
+            res.status(500).json({ error: 'Erro ao carregar mensagens' });
+        }
+    });
+
+    // Zip with the .txt, JSON and HTML transcripts and the media; from/to are ISO dates or milliseconds
+    router.get('/accounts/:accountId/chats/:jid/export', async (req, res) => {
+        try {
+            await sendChatExport(res, req.account, { ...req.query, jid: req.params.jid });
+        } catch (err) {
+            console.error('API: erro ao exportar conversa:', err);
+            if (res.headersSent) {
+                res.destroy(err);
+            } else {
+                res.status(500).json({ error: 'Erro ao exportar conversa' });
+            }
+        }
+    });
+
+    // Send a message. Media comes base64-encoded in `media` or as a multipart `file`.
+    router.post('/accounts/:accountId/messages', requireConnected, upload.single('file'), async (req, res) => {
+        const { to, text, fileName, mimetype, quotedId } = req.body || {};
+        const type = req.body?.type || 'text';
+
+        if (!to) {
+            return res.status(400).json({ error: 'Informe o destinatário (to)' });
+        }
+        if (!['text', 'image', 'audio', 'document', 'video', 'sticker'].includes(type)) {
+            return res.status(400).json({ error: 'Tipo de mensagem inválido' });
+        }
+        if (type === 'text' && !text) {
+            return res.status(400).json({ error: 'Informe o texto da mensagem' });
+        }
+
+        const media = req.file ? req.file.buffer : req.body.media;
+        if (type !== 'text' && !media) {
+            return res.status(400).json({ error: 'Informe o arquivo (media ou file)' });
+        }
+
+        try {
+            let jid = to;
+            if (!to.includes('@')) {
+                const result = await checkWhatsAppNumber(req.account, to);
+                if (!result.exists) {
+                    return res.status(404).json({ error: 'Número não encontrado no WhatsApp' });
+                }
+                jid = result.jid;
+            }
+
+            const sent = await sendChatMessage(req.account, jid, {
+                text,
+                type,
+                media,
+                fileName: fileName || req.file?.originalname,
+                mimetype: mimetype || req.file?.mimetype,
+                quotedId
+            });
+            res.status(201).json({ jid, message: await formatMessage(req.account, sent) });
+        } catch (err) {
+            console.error('API: erro ao enviar mensagem:', err);
+            res.status(500).json({ error: 'Erro ao enviar mensagem' });
+        }
+    });
+
+    router.get('/accounts/:accountId/numbers/:number', requireConnected, async (req, res) => {
+        try {
+            const result = await checkWhatsAppNumber(req.account, req.params.number);
+            res.json(result);
+        } catch (err) {
+            console.error('API: erro ao verificar número:', err);
+            res.status(500).json({ error: 'Erro ao verificar número' });
+        }
+    });
+
+    // Webhook subscriptions of an account
+    router.get('/accounts/:accountId/webhooks', (req, res) => {
+        res.json({ webhooks: webhooks.list(req.account.id).map(w => webhooks.toPublic(w)) });
+    });
+
+    router.post('/accounts/:accountId/webhooks', async (req, res) => {
+        const { url, events, enabled } = req.body || {};
+        try {
+            const webhook = await webhooks.saveWebhook({ accountId: req.account.id, url, events, enabled });
+            res.status(201).json({ webhook: webhooks.toPublic(webhook) });
+        } catch (err) {
+            res.status(400).json({ error: err.message });
+        }
+    });
+
+    router.put('/accounts/:accountId/webhooks/:id', async (req, res) => {
+        const webhook = webhooks.get(req.params.id);
+        if (!webhook || webhook.accountId !== req.account.id) {
+            return res.status(404).json({ error: 'Webhook não encontrado' });
+        }
+        const { url, events, enabled } = req.body || {};
+        try {
+            const updated = await webhooks.saveWebhook({
+                id: webhook.id,
+                url: url || webhook.url,
+                events: events || webhook.events,
+                enabled: enabled === undefined ? webhook.enabled : enabled
+            });
+            res.json({ webhook: webhooks.toPublic(updated) });
+        } catch (err) {
+            res.status(400).json({ error: err.message });
+        }
+    });
+
+    router.delete('/accounts/:accountId/webhooks/:id', (req, res) => {
+        const webhook = webhooks.get(req.params.id);
+        if (!webhook || webhook.accountId !== req.account.id) {
+            return res.status(404).json({ error: 'Webhook não encontrado' });
+        }
+        webhooks.remove(webhook.id);
+        res.json({ success: true });
+    });
+
+    return router;
+}
+
+module.exports = { createApiRouter };
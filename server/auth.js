@@ -0,0 +1,331 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const SESSION_COOKIE = 'zapzap_session';
+const MAX_LOGIN_ATTEMPTS = 5;
+const LOCK_TIME = 15 * 60 * 1000;
+const ROLES = ['admin', 'operator'];
+const MIN_PASSWORD_LENGTH = 6;
+
+// Hash a password with scrypt and a random salt
+function hashPassword(password, salt = crypto.randomBytes(16).toString('hex')) {
+    const hash = crypto.scryptSync(password, salt, 64).toString('hex');
+    return `${salt}:${hash}`;
+}
+
+function verifyPassword(password, stored) {
+    const [salt, hash] = (stored || '').split(':');
+    if (!salt || !hash) return false;
+    const candidate = crypto.scryptSync(password, salt, 64);
+    const expected = Buffer.from(hash, 'hex');
+    return expected.length === candidate.length && crypto.timingSafeEqual(expected, candidate);
+}
+
+function checkPasswordLength(password) {
+    if (String(password).length < MIN_PASSWORD_LENGTH) {
+        throw new Error(`A senha precisa ter pelo menos ${MIN_PASSWORD_LENGTH} caracteres`);
+    }
+}
+
+// Parse the Cookie header into an object
+function parseCookies(header) {
+    const cookies = {};
+    for (const part of (header || '').split(';')) {
+        const index = part.indexOf('=');
+        if (index < 0) continue;
+        const key = part.slice(0, index).trim();
+        const value = part.slice(index + 1).trim();
+        try {
+            cookies[key] = decodeURIComponent(value);
+        } catch {
+            // Malformed escapes (%E0%A4%A) are kept as sent
+            cookies[key] = value;
+        }
+    }
+    return cookies;
+}
+
+// Get the session token from the Authorization header or the session cookie
+function getRequestToken(headers) {
+    const authHeader = headers.authorization || '';
+    if (authHeader.startsWith('Bearer ')) {
+        return authHeader.slice(7).trim();
+    }
+    return parseCookies(headers.cookie)[SESSION_COOKIE] || null;
+}
+
+// Users and login sessions, persisted as JSON in the data folder
+class AuthManager {
+    constructor(folder, { sessionTtl }) {
+        this.usersFile = path.join(folder, 'users.json');
+        this.sessionsFile = path.join(folder, 'sessions.json');
+        this.sessionTtl = sessionTtl;
+        this.users = [];
+        this.sessions = new Map();
+        this.failedLogins = new Map();
+    }
+
+    load() {
+        try {
+            if (fs.existsSync(this.usersFile)) {
+                this.users = JSON.parse(fs.readFileSync(this.usersFile, 'utf-8'));
+                // Users created before roles existed were all administrators
+                for (const user of this.users) {
+                    user.role = user.role || 'admin';
+                    user.accounts = user.accounts || [];
+                }
+            }
+            if (fs.existsSync(this.sessionsFile)) {
+                const now = Date.now();
+                for (const session of JSON.parse(fs.readFileSync(this.sessionsFile, 'utf-8'))) {
+                    if (session.expiresAt > now) {
+                        this.sessions.set(session.token, session);
+                    }
+                }
+            }
+        } catch (err) {
+            console.error('Erro ao carregar usuários:', err);
+        }
+    }
+
+    saveUsers() {
+        try {
+            fs.writeFileSync(this.usersFile, JSON.stringify(this.users, null, 2));
+        } catch (err) {
+            console.error('Erro ao salvar usuários:', err);
+        }
+    }
+
+    saveSessions() {
+        try {
+            fs.writeFileSync(this.sessionsFile, JSON.stringify(Array.from(this.sessions.values()), null, 2));
+        } catch (err) {
+            console.error('Erro ao salvar sessões:', err);
+        }
+    }
+
+    // Create the first user on an empty install so nobody is locked out
+    ensureAdmin(username, password) {
+        if (this.users.length > 0) return;
+
+        const generated = !password;
+        const finalPassword = password || crypto.randomBytes(9).toString('base64url');
+        this.createUser({ username: username || 'admin', password: finalPassword, role: 'admin' });
+
+        console.log(`Usuário inicial criado: ${username || 'admin'}`);
+        if (generated) {
+            console.log(`Senha gerada: ${finalPassword} (defina ADMIN_PASSWORD para escolher a sua)`);
+        }
+    }
+
+    findUser(username) {
+        const normalized = (username || '').trim().toLowerCase();
+        return this.users.find(u => u.username === normalized);
+    }
+
+    getUser(id) {
+        return this.users.find(u => u.id === id);
+    }
+
+    listUsers() {
+        return this.users;
+    }
+
+    createUser({ username, password, role = 'operator', accounts = [] }) {
+        const normalized = (username || '').trim().toLowerCase();
+        if (!normalized || !password) {
+            throw new Error('Usuário e senha são obrigatórios');
+        }
+        checkPasswordLength(password);
+        if (this.findUser(normalized)) {
+            throw new Error('Usuário já existe');
+        }
+        if (!ROLES.includes(role)) {
+            throw new Error('Perfil inválido');
+        }
+
+        const user = {
+            id: 'usr_' + crypto.randomBytes(6).toString('hex'),
+            username: normalized,
+            passwordHash: hashPassword(password),
+            role,
+            accounts: Array.isArray(accounts) ? accounts : [],
+            createdAt: Date.now()
+        };
+        this.users.push(user);
+        this.saveUsers();
+        return user;
+    }
+
+    // Change role, assigned accounts or password of a user. A new password
+    // ends the user's sessions, except `keepToken` (the admin making the change).
+    updateUser(id, { role, accounts, password }, keepToken) {
+        const user = this.getUser(id);
+        if (!user) {
+            throw new Error('Usuário não encontrado');
+        }
+        if (password) {
+            checkPasswordLength(password);
+        }
+        if (role !== undefined) {
+            if (!ROLES.includes(role)) {
+                throw new Error('Perfil inválido');
+            }
+            if (user.role === 'admin' && role !== 'admin' && this.countAdmins() === 1) {
+                throw new Error('É preciso manter pelo menos um administrador');
+            }
+            user.role = role;
+        }
+        if (Array.isArray(accounts)) {
+            user.accounts = accounts;
+        }
+        if (password) {
+            user.passwordHash = hashPassword(password);
+        }
+        this.saveUsers();
+        if (password) {
+            this.revokeSessions(id, keepToken);
+        }
+        return user;
+    }
+
+    deleteUser(id) {
+        const user = this.getUser(id);
+        if (!user) {
+            throw new Error('Usuário não encontrado');
+        }
+        if (user.role === 'admin' && this.countAdmins() === 1) {
+            throw new Error('É preciso manter pelo menos um administrador');
+        }
+
+        this.users = this.users.filter(u => u.id !== id);
+        this.saveUsers();
+        this.revokeSessions(id);
+        return user;
+    }
+
+    // Forget a deleted WhatsApp account in every user's assignment list
+    removeAccountFromUsers(accountId) {
+        for (const user of this.users) {
+            user.accounts = user.accounts.filter(id => id !== accountId);
+        }
+        this.saveUsers();
+    }
+
+    countAdmins() {
+        return this.users.filter(u => u.role === 'admin').length;
+    }
+
+    isAdmin(user) {
+        return user?.role === 'admin';
+    }
+
+    // Admins see every account, operators only the ones assigned to them
+    canAccessAccount(user, accountId) {
+        if (!user) return false;
+        return this.isAdmin(user) || user.accounts.includes(accountId);
+    }
+
+    // End every session of a user except `keepToken`
+    revokeSessions(userId, keepToken) {
+        for (const [token, session] of this.sessions) {
+            if (session.userId === userId && token !== keepToken) this.sessions.delete(token);
+        }
+        this.saveSessions();
+    }
+
+    // Other devices logged in with the old password are logged out;
+    // `keepToken` is the session making the change
+    changePassword(userId, currentPassword, newPassword, keepToken) {
+        const user = this.getUser(userId);
+        if (!user || !verifyPassword(currentPassword || '', user.passwordHash)) {
+            throw new Error('Senha atual incorreta');
+        }
+        if (!newPassword || newPassword.length < MIN_PASSWORD_LENGTH) {
+            throw new Error(`A nova senha precisa ter pelo menos ${MIN_PASSWORD_LENGTH} caracteres`);
+        }
+        user.passwordHash = hashPassword(newPassword);
+        this.saveUsers();
+        this.revokeSessions(userId, keepToken);
+    }
+
+    // Check credentials and open a session. Returns null on failure.
+    login(username, password) {
+        const key = (username || '').trim().toLowerCase();
+        const attempts = this.failedLogins.get(key);
+        if (attempts && attempts.count >= MAX_LOGIN_ATTEMPTS && Date.now() - attempts.last < LOCK_TIME) {
+            throw new Error('Muitas tentativas. Tente novamente mais tarde.');
+        }
+
+        const user = this.findUser(key);
+        if (!user || !verifyPassword(password || '', user.passwordHash)) {
+            this.failedLogins.set(key, { count: (attempts?.count || 0) + 1, last: Date.now() });
+            return null;
+        }
+        this.failedLogins.delete(key);
+
+        const session = {
+            token: crypto.randomBytes(32).toString('hex'),
+            userId: user.id,
+            createdAt: Date.now(),
+            expiresAt: Date.now() + this.sessionTtl
+        };
+        this.sessions.set(session.token, session);
+        this.saveSessions();
+        return { token: session.token, user };
+    }
+
+    logout(token) {
+        if (this.sessions.delete(token)) {
+            this.saveSessions();
+        }
+    }
+
+    // Resolve a session token to its user, or null if missing/expired
+    getSessionUser(token) {
+        if (!token) return null;
+        const session = this.sessions.get(token);
+        if (!session) return null;
+        if (session.expiresAt <= Date.now()) {
+            this.logout(token);
+            return null;
+        }
+        return this.getUser(session.userId) || null;
+    }
+
+    // Express middleware that rejects requests without a valid session
+    middleware() {
+        return (req, res, next) => {
+            const token = getRequestToken(req.headers);
+            const user = this.getSessionUser(token);
+            if (!user) {
+                return res.status(401).json({ error: 'Não autenticado' });
+            }
+            req.user = user;
+            req.sessionToken = token;
+            next();
+        };
+    }
+
+    // Socket.IO middleware that rejects handshakes without a valid session
+    socketMiddleware() {
+        return (socket, next) => {
+            const token = socket.handshake.auth?.token || getRequestToken(socket.handshake.headers);
+            const user = this.getSessionUser(token);
+            if (!user) {
+                return next(new Error('unauthorized'));
+            }
+            socket.data.user = user;
+            socket.data.sessionToken = token;
+            next();
+        };
+    }
+
+    // User data that is safe to send to the browser
+    toPublic(user) {
+        return { id: user.id, username: user.username, role: user.role, accounts: user.accounts };
+    }
+}
+
+module.exports = { AuthManager, SESSION_COOKIE, ROLES, getRequestToken };
@@ -0,0 +1,377 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { fillPlaceholders } = require('./quick-replies');
+
+// Checked in this order; within a trigger, in the order the rules were created
+const TRIGGERS = ['keyword', 'regex', 'first_message', 'away'];
+const MEDIA_TYPES = ['image', 'video', 'audio', 'document'];
+const DEFAULT_COOLDOWN = 60; // minutes before a rule answers the same contact again
+const MAX_COOLDOWN = 30 * 24 * 60;
+const LOG_KEPT = 500; // entries per account
+const MAX_TEXT_CHECKED = 4096;
+const REGEX_TIMEOUT = 50; // ms a regex rule may take on one message
+
+function normalize(text) {
+    return String(text || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+}
+
+function escapeRegex(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Whether a text contains one of the comma-separated keywords as whole
+// words, ignoring case and accents
+function matchesKeywords(text, keywords) {
+    const normalized = normalize(text);
+    return String(keywords || '').split(',').map(k => normalize(k).trim()).filter(Boolean)
+        .some(k => new RegExp(`(^|[^\\p{L}\\p{N}])${escapeRegex(k)}($|[^\\p{L}\\p{N}])`, 'u').test(normalized));
+}
+
+// Whether a group or token at `index` is repeated without bound (*, +, {n,}, {n,m} with m > 1)
+function isRepeated(pattern, index) {
+    const char = pattern[index];
+    if (char === '*' || char === '+') return true;
+    const range = pattern.slice(index).match(/^\{(\d+)(,(\d*))?\}/);
+    return !!range && range[2] !== undefined && (range[3] === '' || Number(range[3]) > 1);
+}
+
+// Regexes whose matching time can blow up with the length of the text
+// (catastrophic backtracking): a repeated group that repeats or alternates
+// inside, like (a+)+ or (a|ab)*, and backreferences
+function isUnsafePattern(pattern) {
+    const groups = [{ ambiguous: false }];
+    for (let i = 0; i < pattern.length; i++) {
+        const char = pattern[i];
+        const group = groups[groups.length - 1];
+        if (char === '\\') {
+            if (/[1-9k]/.test(pattern[i + 1])) return true;
+            i++;
+        } else if (char === '[') {
+            // Skip the character class ([] and [^] are complete classes in JS)
+            i += pattern[i + 1] === '^' ? 2 : 1;
+            while (i < pattern.length && pattern[i] !== ']') {
+                if (pattern[i] === '\\') i++;
+                i++;
+            }
+        } else if (char === '(') {
+            groups.push({ ambiguous: false });
+        } else if (char === ')' && groups.length > 1) {
+            groups.pop();
+            if (group.ambiguous && isRepeated(pattern, i + 1)) return true;
+            groups[groups.length - 1].ambiguous ||= group.ambiguous;
+        } else if (char === '|' || isRepeated(pattern, i)) {
+            group.ambiguous = true;
+        }
+    }
+    return false;
+}
+
+// Test a regex rule in a separate context with a time limit, so a pattern
+// that slipped through isUnsafePattern can't freeze the server
+const regexContext = vm.createContext({});
+const regexScript = new vm.Script('new RegExp(pattern, "i").test(text)');
+function testPattern(pattern, text) {
+    Object.assign(regexContext, { pattern, text });
+    try {
+        return regexScript.runInContext(regexContext, { timeout: REGEX_TIMEOUT });
+    } catch (err) {
+        console.error(`Expressão regular /${pattern}/ abortada:`, err.message);
+        return false;
+    }
+}
+
+// "08:30" -> 510
+function parseClock(value) {
+    const match = /^(\d{2}):(\d{2})$/.exec(value || '');
+    if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) return null;
+    return Number(match[1]) * 60 + Number(match[2]);
+}
+
+// Weekday (0 = Sunday) and minutes since midnight of a moment in a time zone
+function localTime(date, timeZone) {
+    const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+        timeZone, weekday: 'short', hour: 'numeric', minute: 'numeric', hourCycle: 'h23'
+    }).formatToParts(date).map(p => [p.type, p.value]));
+    const day = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].indexOf(parts.weekday);
+    return { day, minutes: Number(parts.hour) * 60 + Number(parts.minute) };
+}
+
+// Business hours are { timeZone, days } where days[0..6] (Sunday first) is
+// { start: "08:00", end: "18:00" } or null for a closed day. An end before
+// the start spans midnight.
+function isWithinHours(hours, date = new Date()) {
+    const { day, minutes } = localTime(date, hours.timeZone);
+    const today = hours.days[day];
+    const yesterday = hours.days[(day + 6) % 7];
+
+    if (today) {
+        const start = parseClock(today.start);
+        const end = parseClock(today.end);
+        if (end > start ? minutes >= start && minutes < end : minutes >= start) return true;
+    }
+    // The end of yesterday's overnight shift
+    if (yesterday) {
+        const start = parseClock(yesterday.start);
+        const end = parseClock(yesterday.end);
+        if (end <= start && minutes < end) return true;
+    }
+    return false;
+}
+
+function validateHours({ timeZone, days }) {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+    } catch {
+        throw new Error('Fuso horário inválido');
+    }
+    if (!Array.isArray(days) || days.length !== 7) {
+        throw new Error('Informe os 7 dias da semana');
+    }
+    return {
+        timeZone,
+        days: days.map(day => {
+            if (!day) return null;
+            if (parseClock(day.start) === null || parseClock(day.end) === null || day.start === day.end) {
+                throw new Error('Horário inválido (use HH:MM)');
+            }
+            return { start: day.start, end: day.end };
+        })
+    };
+}
+
+// Per-account rules that answer incoming messages by themselves: on a keyword
+// or regex, on a contact's first message, or outside business hours. A rule
+// answers each contact at most once per cooldown, so two bots can't loop.
+class AutoReplyManager {
+    constructor(folder, { send, onLog }) {
+        this.file = path.join(folder, 'auto-replies.json');
+        this.send = send;
+        this.onLog = onLog || (() => {});
+        this.rules = [];
+        this.hours = {}; // accountId -> business hours
+        this.cooldowns = {}; // "ruleId|jid" -> last reply (ms)
+        this.log = [];
+    }
+
+    load() {
+        try {
+            if (fs.existsSync(this.file)) {
+                const data = JSON.parse(fs.readFileSync(this.file, 'utf-8'));
+                this.rules = data.rules || [];
+                this.hours = data.hours || {};
+                this.cooldowns = data.cooldowns || {};
+                this.log = data.log || [];
+            }
+        } catch (err) {
+            console.error('Erro ao carregar respostas automáticas:', err);
+        }
+    }
+
+    save() {
+        try {
+            const { rules, hours, cooldowns, log } = this;
+            fs.writeFileSync(this.file, JSON.stringify({ rules, hours, cooldowns, log }));
+        } catch (err) {
+            console.error('Erro ao salvar respostas automáticas:', err);
+        }
+    }
+
+    list(accountId) {
+        return this.rules.filter(rule => rule.accountId === accountId);
+    }
+
+    get(id) {
+        return this.rules.find(rule => rule.id === id);
+    }
+
+    getHours(accountId) {
+        return this.hours[accountId] || null;
+    }
+
+    // null removes the business hours (and with them the away rules' trigger)
+    setHours(accountId, hours) {
+        if (hours) {
+            this.hours[accountId] = validateHours(hours);
+        } else {
+            delete this.hours[accountId];
+        }
+        this.save();
+        return this.hours[accountId] || null;
+    }
+
+    getLog(accountId) {
+        return this.log.filter(entry => entry.accountId === accountId).reverse();
+    }
+
+    // Create or update a rule. `media` is { hash, type, fileName, mimetype },
+    // null to remove the attachment, or undefined to keep it.
+    saveRule({ id, accountId, name, trigger, pattern, text, media, cooldown, enabled = true, createdBy }) {
+        let rule = id ? this.get(id) : null;
+        if (id && (!rule || rule.accountId !== accountId)) {
+            throw new Error('Regra não encontrada');
+        }
+        if (!TRIGGERS.includes(trigger)) {
+            throw new Error('Gatilho inválido');
+        }
+
+        pattern = String(pattern || '').trim();
+        if ((trigger === 'keyword' || trigger === 'regex') && !pattern) {
+            throw new Error(trigger === 'keyword' ? 'Informe as palavras-chave' : 'Informe a expressão regular');
+        }
+        if (pattern.length > 200) {
+            throw new Error('Padrão muito longo (máximo 200 caracteres)');
+        }
+        if (trigger === 'regex') {
+            try {
+                new RegExp(pattern, 'i');
+            } catch {
+                throw new Error('Expressão regular inválida');
+            }
+            if (isUnsafePattern(pattern)) {
+                throw new Error('Expressão regular muito complexa: evite grupos repetidos que contenham repetições ou alternativas, como (a+)+ ou (a|b)*');
+            }
+        }
+        if (media && !MEDIA_TYPES.includes(media.type)) {
+            throw new Error('Tipo de anexo inválido');
+        }
+        const hasMedia = media === undefined ? !!rule?.media : !!media;
+        if (!text?.trim() && !hasMedia) {
+            throw new Error('Informe o texto ou um anexo');
+        }
+
+        const minutes = cooldown === undefined || cooldown === '' ? DEFAULT_COOLDOWN : Number(cooldown);
+        if (!Number.isFinite(minutes) || minutes < 1 || minutes > MAX_COOLDOWN) {
+            throw new Error('Intervalo entre respostas inválido');
+        }
+
+        const fields = {
+            name: name?.trim() || (trigger === 'away' ? 'Fora do horário' : trigger === 'first_message' ? 'Boas-vindas' : pattern),
+            trigger,
+            pattern: trigger === 'keyword' || trigger === 'regex' ? pattern : '',
+            text: text || '',
+            cooldown: Math.round(minutes),
+            enabled: !!enabled,
+            updatedAt: Date.now()
+        };
+        if (rule) {
+            Object.assign(rule, fields);
+            if (media !== undefined) rule.media = media;
+        } else {
+            rule = {
+                id: 'ar_' + crypto.randomBytes(6).toString('hex'),
+                accountId,
+                ...fields,
+                media: media || null,
+                createdBy: createdBy || null,
+                createdAt: Date.now()
+            };
+            this.rules.push(rule);
+        }
+        this.save();
+        return rule;
+    }
+
+    remove(id) {
+        this.rules = this.rules.filter(rule => rule.id !== id);
+        for (const key of Object.keys(this.cooldowns)) {
+            if (key.startsWith(`${id}|`)) delete this.cooldowns[key];
+        }
+        this.save();
+    }
+
+    removeAccount(accountId) {
+        for (const rule of this.list(accountId)) this.remove(rule.id);
+        delete this.hours[accountId];
+        this.log = this.log.filter(entry => entry.accountId !== accountId);
+        this.save();
+    }
+
+    matches(rule, { text, isFirstMessage, accountId, date }) {
+        switch (rule.trigger) {
+            case 'keyword':
+                return matchesKeywords(text, rule.pattern);
+            case 'regex':
+                return testPattern(rule.pattern, text);
+            case 'first_message':
+                return isFirstMessage;
+            case 'away': {
+                const hours = this.getHours(accountId);
+                return !!hours && !isWithinHours(hours, date);
+            }
+            default:
+                return false;
+        }
+    }
+
+    // The rule that answers an incoming message, if any
+    findRule(accountId, jid, context) {
+        const now = Date.now();
+        const candidates = this.list(accountId)
+            .filter(rule => rule.enabled)
+            .sort((a, b) => TRIGGERS.indexOf(a.trigger) - TRIGGERS.indexOf(b.trigger));
+        return candidates.find(rule => {
+            const last = this.cooldowns[`${rule.id}|${jid}`];
+            if (last && now - last < rule.cooldown * 60 * 1000) return false;
+            return this.matches(rule, { ...context, accountId });
+        });
+    }
+
+    // Answer an incoming message. `contact` is { name, phone } for the placeholders.
+    async handleMessage(accountId, jid, { text, isFirstMessage, contact }) {
+        const context = { text: String(text || '').slice(0, MAX_TEXT_CHECKED), isFirstMessage, date: new Date() };
+        const rule = this.findRule(accountId, jid, context);
+        if (!rule) return null;
+
+        // Set before sending: a failed send must not be retried on every message
+        this.cooldowns[`${rule.id}|${jid}`] = Date.now();
+        const reply = fillPlaceholders(rule.text, {
+            nome: contact.name,
+            primeiro_nome: contact.name?.split(' ')[0],
+            telefone: contact.phone
+        });
+
+        const entry = {
+            id: 'arl_' + crypto.randomBytes(6).toString('hex'),
+            accountId,
+            ruleId: rule.id,
+            ruleName: rule.name,
+            jid,
+            contact: contact.name || contact.phone,
+            received: context.text.slice(0, 200),
+            reply: reply.slice(0, 200),
+            status: 'sent',
+            error: null,
+            at: Date.now()
+        };
+        try {
+            await this.send(rule, jid, reply);
+        } catch (err) {
+            entry.status = 'failed';
+            entry.error = err.message;
+        }
+
+        this.log.push(entry);
+        const kept = this.log.filter(e => e.accountId === accountId);
+        if (kept.length > LOG_KEPT) {
+            const dropped = new Set(kept.slice(0, kept.length - LOG_KEPT));
+            this.log = this.log.filter(e => !dropped.has(e));
+        }
+        this.pruneCooldowns();
+        this.save();
+        this.onLog(entry);
+        return entry;
+    }
+
+    // Forget cooldowns that ran out
+    pruneCooldowns() {
+        const now = Date.now();
+        for (const [key, last] of Object.entries(this.cooldowns)) {
+            const rule = this.get(key.split('|')[0]);
+            if (!rule || now - last > rule.cooldown * 60 * 1000) delete this.cooldowns[key];
+        }
+    }
+}
+
+module.exports = { AutoReplyManager, matchesKeywords, isWithinHours, isUnsafePattern };
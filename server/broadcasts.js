@@ -0,0 +1,311 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { fillPlaceholders } = require('./quick-replies');
+
+const MAX_RECIPIENTS = 5000;
+const MEDIA_TYPES = ['image', 'video', 'audio', 'document'];
+const MIN_DELAY = 2; // seconds between two sends, whatever the job says
+const DEFAULT_DELAY = { min: 5, max: 15 };
+const CHECK_DELAY = 1000; // after a number that is not on WhatsApp
+const OFFLINE_RETRY_DELAY = 15000;
+
+// Split one CSV line, honouring double quotes
+function parseCsvLine(line, delimiter) {
+    const cells = [];
+    let cell = '';
+    let quoted = false;
+    for (let i = 0; i < line.length; i++) {
+        const char = line[i];
+        if (quoted) {
+            if (char === '"' && line[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === delimiter) {
+            cells.push(cell.trim());
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+    cells.push(cell.trim());
+    return cells;
+}
+
+function createRecipient(number, vars = {}) {
+    return { number, vars, status: 'pending', jid: null, error: null, sentAt: null };
+}
+
+// One recipient per number, keeping only the digits of the number and the
+// text variables, whoever built the entries
+function normalizeRecipients(entries) {
+    const seen = new Set();
+    const recipients = [];
+    for (const entry of entries) {
+        const { number, vars } = entry && typeof entry === 'object' ? entry : { number: entry };
+        const digits = String(number ?? '').replace(/\D/g, '');
+        if (!digits || seen.has(digits)) continue;
+        seen.add(digits);
+
+        const values = {};
+        for (const [name, value] of Object.entries(vars && typeof vars === 'object' ? vars : {})) {
+            if (typeof value === 'string' || typeof value === 'number') values[name] = String(value);
+        }
+        recipients.push(createRecipient(digits, values));
+    }
+    return recipients;
+}
+
+// Recipients from a list of numbers (one per line), a CSV whose first column
+// is the number, or an array of { number, vars }. A CSV header line names the
+// template variables.
+function parseRecipients(input) {
+    if (Array.isArray(input)) return normalizeRecipients(input);
+
+    const lines = String(input || '').split(/\r?\n/).filter(line => line.trim());
+    if (lines.length === 0) return [];
+
+    const delimiter = lines[0].includes(';') && !lines[0].includes(',') ? ';' : ',';
+    let header = null;
+    const first = parseCsvLine(lines[0], delimiter);
+    if (!/\d{6,}/.test(first[0])) {
+        header = first.map(name => name.toLowerCase().replace(/\s+/g, '_'));
+        lines.shift();
+    }
+
+    return normalizeRecipients(lines.map(line => {
+        const cells = parseCsvLine(line, delimiter);
+        const vars = {};
+        if (header) {
+            header.forEach((name, i) => { if (i > 0 && name) vars[name] = cells[i] || ''; });
+        }
+        return { number: cells[0], vars };
+    }));
+}
+
+function csvCell(value) {
+    const text = value === undefined || value === null ? '' : String(value);
+    return /[",\n;]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function randomDelay(job) {
+    return (job.minDelay + Math.random() * (job.maxDelay - job.minDelay)) * 1000;
+}
+
+// Bulk sends of one templated message. Jobs and the outcome of each recipient
+// are persisted, so a job goes on after a restart where it stopped.
+class BroadcastManager {
+    constructor(folder, { checkNumber, send, isReady, onUpdate }) {
+        this.file = path.join(folder, 'broadcasts.json');
+        this.checkNumber = checkNumber;
+        this.send = send;
+        this.isReady = isReady;
+        this.onUpdate = onUpdate || (() => {});
+        this.jobs = [];
+        this.timers = new Map();
+        this.sending = new Set(); // ids of jobs with a send in progress
+    }
+
+    load() {
+        try {
+            if (fs.existsSync(this.file)) {
+                this.jobs = JSON.parse(fs.readFileSync(this.file, 'utf-8'));
+            }
+        } catch (err) {
+            console.error('Erro ao carregar transmissões:', err);
+        }
+        for (const job of this.jobs) {
+            if (job.status === 'running') this.scheduleNext(job, 0);
+        }
+    }
+
+    save() {
+        try {
+            fs.writeFileSync(this.file, JSON.stringify(this.jobs));
+        } catch (err) {
+            console.error('Erro ao salvar transmissões:', err);
+        }
+    }
+
+    list(accountId) {
+        return this.jobs
+            .filter(job => job.accountId === accountId)
+            .sort((a, b) => b.createdAt - a.createdAt);
+    }
+
+    get(id) {
+        return this.jobs.find(job => job.id === id);
+    }
+
+    // Job without the recipient list, for listings and progress updates
+    toSummary(job) {
+        const counts = { pending: 0, sent: 0, invalid: 0, failed: 0 };
+        for (const r of job.recipients) counts[r.status]++;
+        const { recipients, ...summary } = job;
+        return { ...summary, total: recipients.length, counts };
+    }
+
+    create({ accountId, name, template, recipients, media, minDelay, maxDelay, createdBy }) {
+        const list = parseRecipients(recipients);
+        if (list.length === 0) {
+            throw new Error('Nenhum número válido na lista');
+        }
+        if (list.length > MAX_RECIPIENTS) {
+            throw new Error(`Limite de ${MAX_RECIPIENTS} destinatários por transmissão`);
+        }
+        if (!template?.trim() && !media) {
+            throw new Error('Informe a mensagem ou um anexo');
+        }
+        if (media && !MEDIA_TYPES.includes(media.type)) {
+            throw new Error('Tipo de anexo inválido');
+        }
+
+        const min = Math.max(MIN_DELAY, Number(minDelay) || DEFAULT_DELAY.min);
+        const max = Math.max(min, Number(maxDelay) || DEFAULT_DELAY.max);
+        const job = {
+            id: 'bc_' + crypto.randomBytes(6).toString('hex'),
+            accountId,
+            name: name?.trim() || `Transmissão ${new Date().toLocaleString('pt-BR')}`,
+            template: template || '',
+            media: media || null,
+            minDelay: min,
+            maxDelay: max,
+            status: 'running',
+            recipients: list,
+            createdBy: createdBy || null,
+            createdAt: Date.now(),
+            finishedAt: null
+        };
+        this.jobs.push(job);
+        this.save();
+        this.scheduleNext(job, 0);
+        return job;
+    }
+
+    pause(id) {
+        const job = this.get(id);
+        if (!job || job.status !== 'running') throw new Error('Transmissão não está em andamento');
+        job.status = 'paused';
+        this.stop(job);
+    }
+
+    resume(id) {
+        const job = this.get(id);
+        if (!job || job.status !== 'paused') throw new Error('Transmissão não está pausada');
+        job.status = 'running';
+        this.save();
+        this.onUpdate(job);
+        this.scheduleNext(job, 0);
+    }
+
+    cancel(id) {
+        const job = this.get(id);
+        if (!job || !['running', 'paused'].includes(job.status)) throw new Error('Transmissão já encerrada');
+        job.status = 'cancelled';
+        job.finishedAt = Date.now();
+        this.stop(job);
+    }
+
+    // Only finished jobs can be removed from the list
+    remove(id) {
+        const job = this.get(id);
+        if (!job || ['running', 'paused'].includes(job.status)) throw new Error('Cancele a transmissão antes de removê-la');
+        this.jobs = this.jobs.filter(j => j !== job);
+        this.save();
+    }
+
+    removeAccount(accountId) {
+        for (const job of this.list(accountId)) {
+            clearTimeout(this.timers.get(job.id));
+            this.timers.delete(job.id);
+        }
+        this.jobs = this.jobs.filter(job => job.accountId !== accountId);
+        this.save();
+    }
+
+    stop(job) {
+        clearTimeout(this.timers.get(job.id));
+        this.timers.delete(job.id);
+        this.save();
+        this.onUpdate(job);
+    }
+
+    scheduleNext(job, delay) {
+        clearTimeout(this.timers.get(job.id));
+        this.timers.set(job.id, setTimeout(() => this.processNext(job), delay));
+    }
+
+    async processNext(job) {
+        this.timers.delete(job.id);
+        // A pause and resume while a send is in progress would otherwise start a
+        // second run that sends to the same recipient; the first one goes on by itself
+        if (job.status !== 'running' || this.sending.has(job.id)) return;
+
+        const recipient = job.recipients.find(r => r.status === 'pending');
+        if (!recipient) {
+            job.status = 'completed';
+            job.finishedAt = Date.now();
+            this.save();
+            this.onUpdate(job);
+            return;
+        }
+
+        // Wait for the account instead of failing the rest of the list
+        if (!this.isReady(job.accountId)) {
+            this.scheduleNext(job, OFFLINE_RETRY_DELAY);
+            return;
+        }
+
+        let delay = randomDelay(job);
+        this.sending.add(job.id);
+        try {
+            const result = await this.checkNumber(job.accountId, recipient.number);
+            if (!result.exists) {
+                recipient.status = 'invalid';
+                recipient.error = 'Número não está no WhatsApp';
+                delay = CHECK_DELAY;
+            } else {
+                recipient.jid = result.jid;
+                const text = fillPlaceholders(job.template, { telefone: recipient.number, ...recipient.vars });
+                await this.send(job, recipient.jid, text);
+                recipient.status = 'sent';
+                recipient.sentAt = Date.now();
+            }
+        } catch (err) {
+            recipient.status = 'failed';
+            recipient.error = err.message;
+        } finally {
+            this.sending.delete(job.id);
+        }
+
+        this.save();
+        this.onUpdate(job);
+        // Paused or cancelled while sending
+        if (job.status === 'running') this.scheduleNext(job, delay);
+    }
+
+    // Outcome of every recipient as CSV
+    toCsv(job) {
+        const varNames = Array.from(new Set(job.recipients.flatMap(r => Object.keys(r.vars))));
+        const lines = [['numero', ...varNames, 'status', 'erro', 'enviado_em'].join(',')];
+        for (const r of job.recipients) {
+            lines.push([
+                r.number,
+                ...varNames.map(name => r.vars[name]),
+                r.status,
+                r.error,
+                r.sentAt ? new Date(r.sentAt).toISOString() : ''
+            ].map(csvCell).join(','));
+        }
+        return lines.join('\n') + '\n';
+    }
+}
+
+module.exports = { BroadcastManager, parseRecipients, createRecipient, parseCsvLine, csvCell };
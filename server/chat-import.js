@@ -0,0 +1,194 @@
+const crypto = require('crypto');
+const path = require('path');
+const zlib = require('zlib');
+const AdmZip = require('adm-zip');
+
+// Message lines of Android ("31/01/2024 14:05 - ") and iOS ("[31/01/24, 14:05:33] ") exports,
+// in 24h or 12h clocks
+const ANDROID_LINE = /^(\d{1,2})[/.-](\d{1,2})[/.-](\d{2,4}),? (\d{1,2}):(\d{2})(?::(\d{2}))?(?: ?([ap])\.? ?m\.?)? [-–] (.*)$/i;
+const IOS_LINE = /^\[(\d{1,2})[/.-](\d{1,2})[/.-](\d{2,4}),? (\d{1,2}):(\d{2})(?::(\d{2}))?(?: ?([ap])\.? ?m\.?)?\] (.*)$/i;
+const ATTACHED_ANDROID = /^(.+?\.\w{2,5}) \((?:arquivo anexado|file attached|archivo adjunto|fichier joint|file allegato|Datei angehängt)\)$/i;
+const ATTACHED_IOS = /^<(?:anexado|attached|adjunto|pièce jointe|allegato|angehängt): (.+?)>$/i;
+
+const MAX_ARCHIVE_SIZE = 512 * 1024 * 1024; // uncompressed, so a small zip can't fill the memory
+
+const MEDIA_EXTENSIONS = {
+    jpg: ['image', 'image/jpeg'], jpeg: ['image', 'image/jpeg'], png: ['image', 'image/png'], gif: ['image', 'image/gif'],
+    webp: ['sticker', 'image/webp'], mp4: ['video', 'video/mp4'], '3gp': ['video', 'video/3gpp'], mov: ['video', 'video/quicktime'],
+    opus: ['audio', 'audio/ogg; codecs=opus'], ogg: ['audio', 'audio/ogg'], m4a: ['audio', 'audio/mp4'], mp3: ['audio', 'audio/mpeg'],
+    aac: ['audio', 'audio/aac'], amr: ['audio', 'audio/amr'], pdf: ['document', 'application/pdf']
+};
+
+// Unix seconds of a wall-clock time in a time zone
+function toUnixSeconds({ year, month, day, hour, minute, second }, timeZone) {
+    const wall = Date.UTC(year, month - 1, day, hour, minute, second);
+    const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+        timeZone, hourCycle: 'h23', year: 'numeric', month: 'numeric', day: 'numeric', hour: 'numeric', minute: 'numeric', second: 'numeric'
+    }).formatToParts(new Date(wall)).map(p => [p.type, Number(p.value)]));
+    const offset = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second) - wall;
+    return Math.floor((wall - offset) / 1000);
+}
+
+// Uncompressed bytes of a zip entry. Inflated here rather than with
+// entry.getData(), which inflates without limit when the entry declares size 0.
+function readEntry(entry, budget) {
+    const { size, method } = entry.header;
+    if (size <= 0 || size > budget) {
+        throw new Error('O arquivo .zip é grande demais ou está corrompido');
+    }
+    let data;
+    try {
+        const compressed = entry.getCompressedData();
+        if (method === 0) data = compressed;
+        else if (method === 8) data = zlib.inflateRawSync(compressed, { maxOutputLength: size });
+        else throw new Error();
+    } catch {
+        throw new Error('O arquivo .zip é grande demais ou está corrompido');
+    }
+    if (data.length !== size) {
+        throw new Error('O arquivo .zip é grande demais ou está corrompido');
+    }
+    return data;
+}
+
+// The .txt of an upload (a bare .txt or the exported .zip) and a reader for
+// the attachments it names, so entries the chat doesn't use are never inflated
+function readArchive(buffer) {
+    if (buffer.subarray(0, 2).toString() !== 'PK') {
+        return { text: buffer.toString('utf-8'), readFiles: () => new Map() };
+    }
+
+    const entries = new Map();
+    for (const entry of new AdmZip(buffer).getEntries()) {
+        if (!entry.isDirectory) entries.set(path.basename(entry.entryName), entry);
+    }
+    const textName = Array.from(entries.keys()).find(name => name.toLowerCase().endsWith('.txt'));
+    if (!textName) {
+        throw new Error('O arquivo .zip não contém a conversa (.txt)');
+    }
+
+    let budget = MAX_ARCHIVE_SIZE;
+    const read = (entry) => {
+        const data = readEntry(entry, budget);
+        budget -= data.length;
+        return data;
+    };
+    const text = read(entries.get(textName)).toString('utf-8');
+    const readFiles = (names) => {
+        const files = new Map();
+        for (const name of names) {
+            const entry = entries.get(name);
+            if (entry && name !== textName && !files.has(name)) files.set(name, read(entry));
+        }
+        return files;
+    };
+    return { text, readFiles };
+}
+
+// Split the export into messages. Day/month order follows the phone's
+// locale, so it is taken from whichever field goes past 12.
+function parseExportText(text) {
+    const raw = [];
+    for (let line of text.replace(/^\ufeff/, '').split(/\r?\n/)) {
+        line = line.replace(/[\u200e\u200f]/g, '').replace(/[\u00a0\u202f]/g, ' ');
+        const match = line.match(ANDROID_LINE) || line.match(IOS_LINE);
+        if (match) {
+            raw.push({ fields: match.slice(1, 8), body: match[8] });
+        } else if (raw.length > 0) {
+            raw[raw.length - 1].body += '\n' + line;
+        }
+    }
+
+    const monthFirst = !raw.some(r => Number(r.fields[0]) > 12) && raw.some(r => Number(r.fields[1]) > 12);
+    const messages = [];
+    for (const { fields, body } of raw) {
+        // Lines without "sender: " are notices (encryption, group changes...)
+        const separator = body.indexOf(': ');
+        if (separator < 0) continue;
+
+        const [a, b, y, h, min, sec, meridiem] = fields;
+        let hour = Number(h) % (meridiem ? 12 : 24);
+        if (meridiem?.toLowerCase() === 'p') hour += 12;
+        const year = Number(y) < 100 ? 2000 + Number(y) : Number(y);
+
+        const sender = body.slice(0, separator).trim();
+        let content = body.slice(separator + 2);
+        const [firstLine, ...rest] = content.split('\n');
+        const attached = firstLine.trim().match(ATTACHED_ANDROID) || firstLine.trim().match(ATTACHED_IOS);
+        if (attached) content = rest.join('\n');
+
+        messages.push({
+            time: {
+                year,
+                month: Number(monthFirst ? a : b),
+                day: Number(monthFirst ? b : a),
+                hour,
+                minute: Number(min),
+                second: Number(sec || 0)
+            },
+            sender,
+            text: content.trim(),
+            attachment: attached ? attached[1].trim() : null
+        });
+    }
+    return messages;
+}
+
+function parseChatExport(buffer) {
+    const { text, readFiles } = readArchive(buffer);
+    const messages = parseExportText(text);
+    const senders = Array.from(new Set(messages.map(m => m.sender)));
+    const files = readFiles(messages.map(m => m.attachment).filter(Boolean));
+    return { messages, senders, files };
+}
+
+// Message content for an attachment stored under `hash`, shaped like the one WhatsApp sends
+function mediaContent(fileName, hash, size, caption) {
+    const ext = path.extname(fileName).slice(1).toLowerCase();
+    const [type, mimetype] = MEDIA_EXTENSIONS[ext] || ['document', 'application/octet-stream'];
+    const media = { mimetype, fileSha256: Buffer.from(hash, 'hex'), fileLength: size };
+    if (type === 'image') return { imageMessage: { ...media, caption } };
+    if (type === 'video') return { videoMessage: { ...media, caption } };
+    if (type === 'audio') return { audioMessage: { ...media, ptt: ext === 'opus' } };
+    if (type === 'sticker') return { stickerMessage: media };
+    return { documentMessage: { ...media, fileName, caption } };
+}
+
+// Stored messages for the parsed export. Ids depend only on the content,
+// so importing the same file twice adds nothing. `storeMedia(buffer, messageId)`
+// keeps an attachment and returns its hash.
+function buildImportedMessages({ messages, files }, { jid, ownName, timeZone, storeMedia }) {
+    const seen = new Map(); // identical messages in the same minute
+    return messages.map(entry => {
+        const fromMe = entry.sender === ownName;
+        const timestamp = toUnixSeconds(entry.time, timeZone);
+        const signature = `${jid}|${timestamp}|${entry.sender}|${entry.attachment || ''}|${entry.text}`;
+        const repeat = seen.get(signature) || 0;
+        seen.set(signature, repeat + 1);
+        const id = 'IMPORT' + crypto.createHash('sha1')
+            .update(`${signature}|${repeat}`)
+            .digest('hex').slice(0, 20).toUpperCase();
+
+        let message;
+        const file = entry.attachment ? files.get(entry.attachment) : null;
+        if (file) {
+            message = mediaContent(entry.attachment, storeMedia(file, id), file.length, entry.text || undefined);
+        } else if (entry.attachment) {
+            // Exported without media
+            message = { conversation: [`📎 ${entry.attachment}`, entry.text].filter(Boolean).join('\n') };
+        } else {
+            message = { conversation: entry.text };
+        }
+
+        return {
+            key: { remoteJid: jid, fromMe, id },
+            message,
+            messageTimestamp: timestamp,
+            pushName: fromMe ? undefined : entry.sender,
+            status: fromMe ? 4 : undefined,
+            imported: true
+        };
+    });
+}
+
+module.exports = { parseChatExport, buildImportedMessages };
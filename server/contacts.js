@@ -0,0 +1,93 @@
+const { parseVcards, formatVcard } = require('./vcard');
+const { parseCsvLine, csvCell } = require('./broadcasts');
+
+const MAX_IMPORT = 5000;
+const NAME_COLUMNS = ['nome', 'name', 'full_name', 'display_name', 'contato', 'contact'];
+const PHONE_COLUMNS = ['telefone', 'phone', 'numero', 'number', 'celular', 'mobile', 'whatsapp', 'phone_1_-_value'];
+
+// Digits of a number in international format. Numbers typed with + or 00
+// already carry their country code; short national ones get `countryCode`.
+function toInternationalNumber(phoneNumber, countryCode) {
+    const raw = String(phoneNumber || '').trim();
+    let number = raw.replace(/\D/g, '');
+    if (raw.startsWith('+')) return number;
+    if (number.startsWith('00')) return number.slice(2);
+    // National numbers may keep the trunk prefix (0 11 99999-9999). Area code
+    // plus number is 10 or 11 digits; anything longer already has a country code.
+    number = number.replace(/^0+/, '');
+    if (countryCode && (number.length === 10 || number.length === 11)) {
+        number = countryCode + number;
+    }
+    return number;
+}
+
+function findColumn(header, names) {
+    return header.findIndex(column => names.includes(column));
+}
+
+// Rows of a CSV address book: a header naming the name and phone columns
+// (Google and Outlook exports work), or name,number without a header
+function parseContactsCsv(text) {
+    const lines = text.split(/\r?\n/).filter(line => line.trim());
+    if (lines.length === 0) return [];
+
+    const delimiter = lines[0].includes(';') && !lines[0].includes(',') ? ';' : ',';
+    const first = parseCsvLine(lines[0], delimiter);
+    let nameIndex = 0;
+    let phoneIndex = 1;
+    if (!first.some(cell => /\d{6,}/.test(cell))) {
+        const header = first.map(name => name.toLowerCase().trim().replace(/\s+/g, '_'));
+        nameIndex = findColumn(header, NAME_COLUMNS);
+        phoneIndex = findColumn(header, PHONE_COLUMNS);
+        if (phoneIndex < 0) {
+            throw new Error('Coluna de telefone não encontrada no CSV');
+        }
+        lines.shift();
+    }
+
+    return lines.map(line => {
+        const cells = parseCsvLine(line, delimiter);
+        // Google exports several numbers in one cell: "+55 11 9999-9999 ::: +55 11 ..."
+        const phones = String(cells[phoneIndex] || '').split(/:::|\//).map(p => p.trim()).filter(Boolean);
+        return { name: nameIndex >= 0 ? cells[nameIndex] || '' : '', phones };
+    });
+}
+
+// { name, number } entries of a vCard or CSV address book, one per number,
+// without repeated numbers
+function parseAddressBook(buffer, countryCode) {
+    const text = buffer.toString('utf-8').replace(/^\ufeff/, '');
+    const rows = /BEGIN:VCARD/i.test(text)
+        ? parseVcards(text).map(card => ({ name: card.name, phones: card.phones.map(p => p.number) }))
+        : parseContactsCsv(text);
+
+    const seen = new Set();
+    const entries = [];
+    for (const { name, phones } of rows) {
+        for (const phone of phones) {
+            const number = toInternationalNumber(phone, countryCode);
+            if (number.length < 8 || number.length > 15 || seen.has(number)) continue;
+            seen.add(number);
+            entries.push({ name: name.trim(), number });
+        }
+    }
+    if (entries.length > MAX_IMPORT) {
+        throw new Error(`Limite de ${MAX_IMPORT} números por importação`);
+    }
+    return entries;
+}
+
+// contacts: [{ name, number }]
+function contactsToCsv(contacts) {
+    const lines = ['nome,telefone'];
+    for (const contact of contacts) {
+        lines.push([contact.name, `+${contact.number}`].map(csvCell).join(','));
+    }
+    return lines.join('\n') + '\n';
+}
+
+function contactsToVcard(contacts) {
+    return contacts.map(formatVcard).join('\r\n') + '\r\n';
+}
+
+module.exports = { toInternationalNumber, parseAddressBook, contactsToCsv, contactsToVcard };
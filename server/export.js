@@ -0,0 +1,177 @@
+const archiver = require('archiver');
+
+const MEDIA_PREFIX = { image: 'IMG', video: 'VID', audio: 'PTT', sticker: 'STK', document: 'DOC' };
+const EXTENSIONS = {
+    'image/jpeg': 'jpg', 'image/png': 'png', 'image/webp': 'webp', 'image/gif': 'gif',
+    'video/mp4': 'mp4', 'video/3gpp': '3gp', 'audio/ogg': 'opus', 'audio/mpeg': 'mp3',
+    'audio/mp4': 'm4a', 'application/pdf': 'pdf'
+};
+
+function safeName(name) {
+    return String(name || '').replace(/[\\/:*?"<>|\x00-\x1f]/g, '_').trim().slice(0, 80) || 'conversa';
+}
+
+function escapeHtml(text) {
+    return String(text ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+}
+
+// dd/mm/yyyy and HH:MM of a message, in the export's time zone
+function createDateFormatter(timeZone) {
+    const format = new Intl.DateTimeFormat('pt-BR', {
+        timeZone, day: '2-digit', month: '2-digit', year: 'numeric', hour: '2-digit', minute: '2-digit', hourCycle: 'h23'
+    });
+    return (timestamp) => {
+        const parts = Object.fromEntries(format.formatToParts(new Date(timestamp * 1000)).map(p => [p.type, p.value]));
+        return { date: `${parts.day}/${parts.month}/${parts.year}`, time: `${parts.hour}:${parts.minute}`, compact: `${parts.year}${parts.month}${parts.day}` };
+    };
+}
+
+// Text of a message that is not a plain text, as WhatsApp writes it in its exports
+function describeMessage(message) {
+    switch (message.type) {
+        case 'deleted':
+            return 'Mensagem apagada';
+        case 'location':
+            return `localização: https://maps.google.com/?q=${message.location.latitude},${message.location.longitude}`;
+        case 'contact':
+            return message.contacts.map(c => `${c.name}${c.phones.length ? ` (${c.phones.map(p => p.number).join(', ')})` : ''}`).join('\n');
+        case 'poll':
+            return [`ENQUETE:`, message.poll.name, ...message.poll.options.map(o => `OPÇÃO: ${o}`)].join('\n');
+        default:
+            return message.text;
+    }
+}
+
+// Give each attachment a WhatsApp-like file name (IMG-20240131-WA0001.jpg)
+function nameMediaFiles(chat, formatDate) {
+    let counter = 0;
+    const used = new Set();
+    for (const entry of chat.entries) {
+        if (!entry.file) continue;
+        const { message, file } = entry;
+        counter++;
+        let name;
+        if (message.type === 'document' && file.fileName) {
+            name = safeName(file.fileName);
+        } else {
+            const ext = EXTENSIONS[file.mimetype.split(';')[0]] || 'bin';
+            name = `${MEDIA_PREFIX[message.type] || 'FILE'}-${formatDate(message.timestamp).compact}-WA${String(counter).padStart(4, '0')}.${ext}`;
+        }
+        while (used.has(name)) name = `${counter}-${name}`;
+        used.add(name);
+        entry.mediaFile = name;
+    }
+}
+
+function senderOf(message, chat) {
+    if (message.fromMe) return chat.ownName;
+    return message.senderName || message.pushName || chat.name;
+}
+
+function toTxt(chat, formatDate) {
+    return chat.entries.map(({ message, mediaFile, missing }) => {
+        const { date, time } = formatDate(message.timestamp);
+        let body = describeMessage(message);
+        if (mediaFile) {
+            body = `${mediaFile} (arquivo anexado)${body ? `\n${body}` : ''}`;
+        } else if (missing) {
+            body = `<Mídia oculta>${body ? `\n${body}` : ''}`;
+        }
+        return `${date} ${time} - ${senderOf(message, chat)}: ${body}`;
+    }).join('\n') + '\n';
+}
+
+function toJson(chat, range) {
+    return JSON.stringify({
+        chat: { jid: chat.jid, name: chat.name },
+        account: chat.ownName,
+        range,
+        exportedAt: new Date().toISOString(),
+        messages: chat.entries.map(({ message, mediaFile }) => {
+            const { mediaUrl, thumbnail, ...data } = message;
+            return { ...data, sender: senderOf(message, chat), mediaFile: mediaFile ? `media/${mediaFile}` : null };
+        })
+    }, null, 2);
+}
+
+function mediaHtml(message, mediaFile) {
+    const src = `media/${encodeURIComponent(mediaFile)}`;
+    if (message.type === 'image' || message.type === 'sticker') return `<a href="${src}"><img src="${src}" alt=""></a>`;
+    if (message.type === 'video') return `<video src="${src}" controls></video>`;
+    if (message.type === 'audio') return `<audio src="${src}" controls></audio>`;
+    return `<a href="${src}">📎 ${escapeHtml(mediaFile)}</a>`;
+}
+
+function toHtml(chat, formatDate) {
+    let lastDate = null;
+    const rows = chat.entries.map(({ message, mediaFile, missing }) => {
+        const { date, time } = formatDate(message.timestamp);
+        const divider = date !== lastDate ? `<div class="date">${date}</div>` : '';
+        lastDate = date;
+        const sender = !message.fromMe && chat.isGroup ? `<div class="sender">${escapeHtml(senderOf(message, chat))}</div>` : '';
+        const media = mediaFile ? mediaHtml(message, mediaFile) : missing ? '<em>Mídia indisponível</em>' : '';
+        const text = escapeHtml(describeMessage(message)).replace(/\n/g, '<br>');
+        return `${divider}<div class="msg ${message.fromMe ? 'out' : 'in'}${message.type === 'deleted' ? ' deleted' : ''}">${sender}${media}<div>${text}</div><span class="time">${time}</span></div>`;
+    });
+    return `<!DOCTYPE html>
+<html lang="pt-BR">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(chat.name)}</title>
+<style>
+body { margin: 0; background: #0b141a; color: #e9edef; font: 15px/1.4 system-ui, sans-serif; }
+header { padding: 16px 24px; background: #202c33; position: sticky; top: 0; }
+main { max-width: 820px; margin: 0 auto; padding: 16px; display: flex; flex-direction: column; gap: 6px; }
+.date { align-self: center; background: #182229; color: #8696a0; font-size: 12px; padding: 4px 12px; border-radius: 8px; margin: 8px 0; }
+.msg { max-width: 70%; padding: 6px 10px 18px; border-radius: 8px; position: relative; word-wrap: break-word; }
+.msg.in { align-self: flex-start; background: #202c33; }
+.msg.out { align-self: flex-end; background: #005c4b; }
+.msg.deleted { font-style: italic; opacity: .7; }
+.msg img, .msg video { max-width: 100%; border-radius: 6px; display: block; }
+.msg a { color: #53bdeb; }
+.sender { color: #53bdeb; font-size: 13px; font-weight: 600; }
+.time { position: absolute; right: 8px; bottom: 3px; font-size: 11px; color: #8696a0; }
+</style>
+</head>
+<body>
+<header><strong>${escapeHtml(chat.name)}</strong><br><small>${chat.entries.length} mensagens</small></header>
+<main>
+${rows.join('\n')}
+</main>
+</body>
+</html>
+`;
+}
+
+// Write a zip with one folder per chat holding the WhatsApp-style .txt,
+// a JSON and a standalone HTML transcript, and the media files.
+// chats: [{ jid, name, ownName, isGroup, entries: [{ message, file, missing }] }]
+// where message is a formatted message and file is { path, fileName, mimetype }.
+async function writeChatExport(output, { chats, range, timeZone }) {
+    const formatDate = createDateFormatter(timeZone);
+    const archive = archiver('zip', { zlib: { level: 6 } });
+    const failed = new Promise((resolve, reject) => archive.on('error', reject));
+    archive.pipe(output);
+
+    const folders = new Set();
+    for (const chat of chats) {
+        let folder = safeName(chat.name);
+        if (folders.has(folder)) folder = `${folder} (${chat.jid.split('@')[0]})`;
+        folders.add(folder);
+
+        nameMediaFiles(chat, formatDate);
+        archive.append(toTxt(chat, formatDate), { name: `${folder}/Conversa do WhatsApp com ${safeName(chat.name)}.txt` });
+        archive.append(toJson(chat, range), { name: `${folder}/messages.json` });
+        archive.append(toHtml(chat, formatDate), { name: `${folder}/chat.html` });
+        for (const entry of chat.entries) {
+            if (entry.mediaFile) {
+                archive.file(entry.file.path, { name: `${folder}/media/${entry.mediaFile}` });
+            }
+        }
+    }
+
+    await Promise.race([archive.finalize(), failed]);
+}
+
+module.exports = { writeChatExport };
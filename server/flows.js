@@ -0,0 +1,409 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { fillPlaceholders } = require('./quick-replies');
+const { matchesKeywords } = require('./auto-reply');
+
+const TRIGGERS = ['keyword', 'first_message', 'any'];
+const INPUTS = ['none', 'choice', 'text', 'number', 'email'];
+const ACTIONS = ['handover', 'end'];
+const MAX_STATES = 50;
+const MAX_ATTEMPTS = 3; // invalid answers in a row before handing over to a human
+const MAX_STEPS = 20; // states entered for one message, against loops of states without input
+const DEFAULT_TIMEOUT = 60; // minutes without an answer before a conversation starts over
+const MAX_TIMEOUT = 7 * 24 * 60;
+const DEFAULT_COOLDOWN = 60; // minutes before a flow starts again with the same contact
+const MAX_COOLDOWN = 30 * 24 * 60;
+const MAX_TEXT_SAVED = 500;
+
+const EMAIL = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const NUMBER = /^-?\d+(?:[.,]\d+)?$/;
+
+function sessionKey(accountId, jid) {
+    return `${accountId}|${jid}`;
+}
+
+// Check a flow's states. A state is
+//   { prompt, input, options: [{ match, label, next }], save, next, retry, action }
+// where `input` is what the contact must answer (none, choice, text, number,
+// email), `options` lead a choice to the next state by comma-separated
+// keywords, `save` names the variable that keeps the answer, `retry` is sent
+// on an invalid answer and `action` (handover, end) finishes the conversation.
+function validateStates(states, start) {
+    if (!states || typeof states !== 'object' || Array.isArray(states)) {
+        throw new Error('Defina os estados do fluxo');
+    }
+    const names = Object.keys(states);
+    if (names.length === 0 || names.length > MAX_STATES) {
+        throw new Error(`O fluxo deve ter de 1 a ${MAX_STATES} estados`);
+    }
+    // Own names only: "constructor" or "toString" are not states
+    if (!Object.hasOwn(states, start)) {
+        throw new Error(`Estado inicial "${start}" não existe`);
+    }
+
+    const checkNext = (name, next) => {
+        if (next && !Object.hasOwn(states, next)) throw new Error(`Estado "${name}": destino "${next}" não existe`);
+    };
+    const result = {};
+    for (const name of names) {
+        const state = states[name] || {};
+        const input = state.input || 'none';
+        if (!INPUTS.includes(input)) {
+            throw new Error(`Estado "${name}": entrada inválida "${input}"`);
+        }
+        if (state.action && !ACTIONS.includes(state.action)) {
+            throw new Error(`Estado "${name}": ação inválida "${state.action}"`);
+        }
+        if (state.action && input !== 'none') {
+            throw new Error(`Estado "${name}": um estado com ação não espera resposta`);
+        }
+        if (!state.prompt?.trim() && !state.action && input === 'none') {
+            throw new Error(`Estado "${name}": informe a mensagem`);
+        }
+        if (state.save && !/^\w{1,30}$/.test(state.save)) {
+            throw new Error(`Estado "${name}": nome de variável inválido`);
+        }
+
+        let options = [];
+        if (input === 'choice') {
+            if (!Array.isArray(state.options) || state.options.length === 0) {
+                throw new Error(`Estado "${name}": informe as opções`);
+            }
+            options = state.options.map(option => {
+                if (!String(option.match || '').trim()) throw new Error(`Estado "${name}": opção sem palavras-chave`);
+                checkNext(name, option.next);
+                return { match: String(option.match), label: option.label || '', next: option.next || null };
+            });
+        }
+        checkNext(name, state.next);
+
+        result[name] = {
+            prompt: state.prompt || '',
+            input,
+            options,
+            save: state.save || null,
+            next: state.next || null,
+            retry: state.retry || '',
+            action: state.action || null
+        };
+    }
+
+    // States without input lead straight to their next one; a loop made only
+    // of them would send messages to the contact without end
+    for (const name of names) {
+        const visited = new Set();
+        let current = name;
+        while (current && result[current].input === 'none' && !result[current].action) {
+            if (visited.has(current)) {
+                throw new Error(`Estado "${name}": ciclo de estados sem resposta do contato`);
+            }
+            visited.add(current);
+            current = result[current].next;
+        }
+    }
+    return result;
+}
+
+// Menu-driven conversations run by the server: a flow starts on a trigger
+// and walks its states with each answer of the contact, keeping where each
+// contact is and what they answered. A chat can be paused so an operator
+// talks alone; handing over to a human pauses it too.
+class FlowManager {
+    constructor(folder, { send, onHandover, onChange }) {
+        this.file = path.join(folder, 'flows.json');
+        this.send = send;
+        this.onHandover = onHandover || (() => {});
+        this.onChange = onChange || (() => {});
+        this.flows = [];
+        this.sessions = {}; // "accountId|jid" -> { flowId, state, vars, attempts, startedAt, updatedAt }
+        this.paused = {}; // "accountId|jid" -> { by, at }
+        this.cooldowns = {}; // "flowId|jid" -> last start (ms)
+    }
+
+    load() {
+        try {
+            if (fs.existsSync(this.file)) {
+                const data = JSON.parse(fs.readFileSync(this.file, 'utf-8'));
+                this.flows = data.flows || [];
+                this.sessions = data.sessions || {};
+                this.paused = data.paused || {};
+                this.cooldowns = data.cooldowns || {};
+            }
+        } catch (err) {
+            console.error('Erro ao carregar fluxos:', err);
+        }
+    }
+
+    save() {
+        try {
+            const { flows, sessions, paused, cooldowns } = this;
+            fs.writeFileSync(this.file, JSON.stringify({ flows, sessions, paused, cooldowns }));
+        } catch (err) {
+            console.error('Erro ao salvar fluxos:', err);
+        }
+    }
+
+    list(accountId) {
+        return this.flows.filter(flow => flow.accountId === accountId);
+    }
+
+    get(id) {
+        return this.flows.find(flow => flow.id === id);
+    }
+
+    // Flow with the number of conversations going on, for listings
+    toSummary(flow) {
+        const active = Object.values(this.sessions).filter(s => s.flowId === flow.id).length;
+        return { ...flow, active };
+    }
+
+    saveFlow({ id, accountId, name, trigger, pattern, start, states, timeout, cooldown, enabled = true, createdBy }) {
+        let flow = id ? this.get(id) : null;
+        if (id && (!flow || flow.accountId !== accountId)) {
+            throw new Error('Fluxo não encontrado');
+        }
+        if (!name?.trim()) {
+            throw new Error('Informe o nome do fluxo');
+        }
+        if (!TRIGGERS.includes(trigger)) {
+            throw new Error('Gatilho inválido');
+        }
+        pattern = String(pattern || '').trim();
+        if (trigger === 'keyword' && !pattern) {
+            throw new Error('Informe as palavras-chave');
+        }
+        start = String(start || '').trim();
+        const checked = validateStates(states, start);
+
+        const minutes = timeout === undefined || timeout === '' ? DEFAULT_TIMEOUT : Number(timeout);
+        if (!Number.isFinite(minutes) || minutes < 1 || minutes > MAX_TIMEOUT) {
+            throw new Error('Tempo de espera inválido');
+        }
+        const cooldownMinutes = cooldown === undefined || cooldown === '' ? DEFAULT_COOLDOWN : Number(cooldown);
+        if (!Number.isFinite(cooldownMinutes) || cooldownMinutes < 1 || cooldownMinutes > MAX_COOLDOWN) {
+            throw new Error('Intervalo entre conversas inválido');
+        }
+
+        const fields = {
+            name: name.trim(),
+            trigger,
+            pattern: trigger === 'keyword' ? pattern : '',
+            start,
+            states: checked,
+            timeout: Math.round(minutes),
+            cooldown: Math.round(cooldownMinutes),
+            enabled: !!enabled,
+            updatedAt: Date.now()
+        };
+        if (flow) {
+            Object.assign(flow, fields);
+            // Conversations standing on a state that no longer exists start over
+            for (const [key, session] of Object.entries(this.sessions)) {
+                if (session.flowId === flow.id && !checked[session.state]) delete this.sessions[key];
+            }
+        } else {
+            flow = {
+                id: 'flow_' + crypto.randomBytes(6).toString('hex'),
+                accountId,
+                ...fields,
+                createdBy: createdBy || null,
+                createdAt: Date.now()
+            };
+            this.flows.push(flow);
+        }
+        this.save();
+        return flow;
+    }
+
+    remove(id) {
+        this.flows = this.flows.filter(flow => flow.id !== id);
+        for (const [key, session] of Object.entries(this.sessions)) {
+            if (session.flowId === id) delete this.sessions[key];
+        }
+        for (const key of Object.keys(this.cooldowns)) {
+            if (key.startsWith(`${id}|`)) delete this.cooldowns[key];
+        }
+        this.save();
+    }
+
+    removeAccount(accountId) {
+        for (const flow of this.list(accountId)) this.remove(flow.id);
+        for (const collection of [this.sessions, this.paused]) {
+            for (const key of Object.keys(collection)) {
+                if (key.startsWith(`${accountId}|`)) delete collection[key];
+            }
+        }
+        this.save();
+    }
+
+    isPaused(accountId, jid) {
+        return !!this.paused[sessionKey(accountId, jid)];
+    }
+
+    // Stop the bot in a chat (and any conversation it was having there)
+    pause(accountId, jid, by) {
+        const key = sessionKey(accountId, jid);
+        this.paused[key] = { by: by || null, at: Date.now() };
+        delete this.sessions[key];
+        this.save();
+        this.onChange(accountId, jid);
+    }
+
+    resume(accountId, jid) {
+        const key = sessionKey(accountId, jid);
+        if (!this.paused[key]) return;
+        delete this.paused[key];
+        this.save();
+        this.onChange(accountId, jid);
+    }
+
+    // Whether the bot is paused in a chat and where its conversation stands
+    getChatStatus(accountId, jid) {
+        const key = sessionKey(accountId, jid);
+        const session = this.getSession(accountId, jid);
+        const flow = session && this.get(session.flowId);
+        return {
+            paused: this.paused[key] || null,
+            session: flow ? { flowId: flow.id, flowName: flow.name, state: session.state, vars: session.vars } : null
+        };
+    }
+
+    // The conversation a contact is having, unless it timed out or its flow is gone
+    getSession(accountId, jid) {
+        const key = sessionKey(accountId, jid);
+        const session = this.sessions[key];
+        if (!session) return null;
+        const flow = this.get(session.flowId);
+        if (!flow || !flow.enabled || Date.now() - session.updatedAt > flow.timeout * 60 * 1000) {
+            delete this.sessions[key];
+            return null;
+        }
+        return session;
+    }
+
+    // Like auto-replies, a flow starts with the same contact at most once per
+    // cooldown, so two bots can't keep starting each other's conversations
+    findFlow(accountId, jid, { text, isFirstMessage }) {
+        const now = Date.now();
+        return this.list(accountId).find(flow => {
+            if (!flow.enabled) return false;
+            const last = this.cooldowns[`${flow.id}|${jid}`];
+            if (last && now - last < (flow.cooldown || DEFAULT_COOLDOWN) * 60 * 1000) return false;
+            if (flow.trigger === 'keyword') return matchesKeywords(text, flow.pattern);
+            if (flow.trigger === 'first_message') return isFirstMessage;
+            return true;
+        });
+    }
+
+    // Run the bot on an incoming message. Returns true when a flow took the
+    // message, so nothing else (auto-replies) answers it.
+    async handleMessage(accountId, jid, { text, isFirstMessage, contact }) {
+        if (this.isPaused(accountId, jid)) return false;
+        text = String(text || '').trim();
+        const key = sessionKey(accountId, jid);
+
+        let session = this.getSession(accountId, jid);
+        if (!session) {
+            const flow = this.findFlow(accountId, jid, { text, isFirstMessage });
+            if (!flow) return false;
+            this.pruneCooldowns();
+            this.cooldowns[`${flow.id}|${jid}`] = Date.now();
+            session = {
+                flowId: flow.id,
+                state: flow.start,
+                vars: { nome: contact.name || '', primeiro_nome: contact.name?.split(' ')[0] || '', telefone: contact.phone || '' },
+                attempts: 0,
+                startedAt: Date.now(),
+                updatedAt: Date.now()
+            };
+            this.sessions[key] = session;
+            await this.enter(accountId, jid, flow, session, flow.start);
+            return true;
+        }
+
+        const flow = this.get(session.flowId);
+        const state = flow.states[session.state];
+        const answer = this.readAnswer(state, text);
+        if (!answer) {
+            session.attempts++;
+            if (session.attempts >= MAX_ATTEMPTS) {
+                await this.handover(accountId, jid, flow, session);
+            } else {
+                session.updatedAt = Date.now();
+                this.save();
+                await this.reply(accountId, jid, state.retry || 'Não entendi. ' + state.prompt, session.vars);
+            }
+            return true;
+        }
+
+        if (state.save) session.vars[state.save] = answer.value;
+        session.attempts = 0;
+        await this.enter(accountId, jid, flow, session, answer.next);
+        return true;
+    }
+
+    // { value, next } for a valid answer to a state, null otherwise
+    readAnswer(state, text) {
+        switch (state.input) {
+            case 'choice': {
+                const option = state.options.find(o => matchesKeywords(text, o.match));
+                return option ? { value: option.label || text, next: option.next || state.next } : null;
+            }
+            case 'number':
+                return NUMBER.test(text) ? { value: text, next: state.next } : null;
+            case 'email':
+                return EMAIL.test(text) ? { value: text.toLowerCase(), next: state.next } : null;
+            default:
+                return text ? { value: text.slice(0, MAX_TEXT_SAVED), next: state.next } : null;
+        }
+    }
+
+    // Move to a state: send its prompt and go on through the states that
+    // expect no answer, until one waits for the contact or the flow ends
+    async enter(accountId, jid, flow, session, name) {
+        for (let step = 0; name && step < MAX_STEPS; step++) {
+            const state = flow.states[name];
+            session.state = name;
+            session.updatedAt = Date.now();
+            if (state.prompt) await this.reply(accountId, jid, state.prompt, session.vars);
+
+            if (state.action === 'handover') return this.handover(accountId, jid, flow, session);
+            if (state.action === 'end') break;
+            if (state.input !== 'none') {
+                this.save();
+                this.onChange(accountId, jid);
+                return;
+            }
+            name = state.next;
+        }
+        this.finish(accountId, jid);
+    }
+
+    async reply(accountId, jid, text, vars) {
+        await this.send(accountId, jid, fillPlaceholders(text, vars));
+    }
+
+    finish(accountId, jid) {
+        delete this.sessions[sessionKey(accountId, jid)];
+        this.save();
+        this.onChange(accountId, jid);
+    }
+
+    // Forget cooldowns that ran out
+    pruneCooldowns() {
+        const now = Date.now();
+        for (const [key, last] of Object.entries(this.cooldowns)) {
+            const flow = this.get(key.split('|')[0]);
+            if (!flow || now - last > (flow.cooldown || DEFAULT_COOLDOWN) * 60 * 1000) delete this.cooldowns[key];
+        }
+    }
+
+    // Pass the chat to a human with what the contact answered
+    async handover(accountId, jid, flow, session) {
+        this.pause(accountId, jid, null);
+        await this.onHandover(accountId, jid, { flow, vars: session.vars });
+    }
+}
+
+module.exports = { FlowManager, validateStates };
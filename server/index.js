@@ -7,7 +7,11 @@ const {
     useMultiFileAuthState,
     fetchLatestBaileysVersion,
     makeCacheableSignalKeyStore,
-    downloadMediaMessage
+    normalizeMessageContent,
+    updateMessageWithReaction,
+    WAMessageStubType,
+    LabelAssociationType,
+    toNumber
 } = require('@whiskeysockets/baileys');
 const QRCode = require('qrcode');
 const pino = require('pino');
@@ -15,6 +19,23 @@ const path = require('path');
 const fs = require('fs');
 const multer = require('multer');
 const ffmpeg = require('fluent-ffmpeg');
+const { createStore } = require('./store');
+const { parseVcard } = require('./vcard');
+const { MediaCache, getMediaContent } = require('./media');
+const { AuthManager, SESSION_COOKIE } = require('./auth');
+const { ApiKeyManager } = require('./api-keys');
+const { createApiRouter } = require('./api');
+const { WebhookManager } = require('./webhooks');
+const { PushManager } = require('./push');
+const { Scheduler } = require('./scheduler');
+const { QuickReplyManager } = require('./quick-replies');
+const { BroadcastManager, createRecipient } = require('./broadcasts');
+const { writeChatExport } = require('./export');
+const { parseChatExport, buildImportedMessages } = require('./chat-import');
+const { SearchIndex } = require('./search');
+const { AutoReplyManager } = require('./auto-reply');
+const { FlowManager } = require('./flows');
+const { toInternationalNumber, parseAddressBook, contactsToCsv, contactsToVcard } = require('./contacts');
 
 // Use system FFmpeg on Railway/Linux, or npm package locally
 if (process.env.RAILWAY_ENVIRONMENT || process.platform === 'linux') {
@@ -30,19 +51,34 @@ if (process.env.RAILWAY_ENVIRONMENT || process.platform === 'linux') {
     }
 }
 
+const PORT = process.env.PORT || 3001;
+// Comma-separated list of extra origins allowed to reach the Socket.IO server
+const CORS_ORIGIN = process.env.CORS_ORIGIN;
+const SESSION_TTL = (parseInt(process.env.SESSION_TTL_DAYS) || 30) * 24 * 60 * 60 * 1000;
+// Country code added to numbers typed without one (11999999999 -> 5511999999999)
+const DEFAULT_COUNTRY_CODE = (process.env.DEFAULT_COUNTRY_CODE || '55').replace(/\D/g, '');
+
 const app = express();
 const server = createServer(app);
 const io = new Server(server, {
-    cors: {
-        origin: "*",
-        methods: ["GET", "POST"]
-    }
+    cors: CORS_ORIGIN ? {
+        origin: CORS_ORIGIN.split(',').map(o => o.trim()),
+        methods: ["GET", "POST"],
+        credentials: true
+    } : undefined,
+    // Media is sent base64-encoded over the socket
+    maxHttpBufferSize: 100 * 1024 * 1024
 });
-
-const PORT = process.env.PORT || 3001;
 const AUTH_BASE_FOLDER = path.join(__dirname, 'auth');
 const UPLOADS_FOLDER = path.join(__dirname, 'uploads');
 const ACCOUNTS_FILE = path.join(__dirname, 'accounts.json');
+const DATA_FOLDER = path.join(__dirname, 'data');
+const STORE_DRIVER = process.env.STORE_DRIVER || 'file';
+const STORE_FOLDER = path.join(DATA_FOLDER, 'accounts');
+const HISTORY_FETCH_MAX = 50; // WhatsApp serves at most 50 messages per on-demand request
+const HISTORY_FETCH_TIMEOUT = 15000;
+const RECONNECT_BASE_DELAY = 2000;
+const RECONNECT_MAX_DELAY = 5 * 60 * 1000;
 
 // Ensure folders exist
 if (!fs.existsSync(AUTH_BASE_FOLDER)) {
@@ -51,6 +87,31 @@ if (!fs.existsSync(AUTH_BASE_FOLDER)) {
 if (!fs.existsSync(UPLOADS_FOLDER)) {
     fs.mkdirSync(UPLOADS_FOLDER, { recursive: true });
 }
+if (!fs.existsSync(DATA_FOLDER)) {
+    fs.mkdirSync(DATA_FOLDER, { recursive: true });
+}
+
+// Users and sessions
+const auth = new AuthManager(DATA_FOLDER, { sessionTtl: SESSION_TTL });
+auth.load();
+auth.ensureAdmin(process.env.ADMIN_USER, process.env.ADMIN_PASSWORD);
+const requireAuth = auth.middleware();
+
+// Integration keys for the REST API
+const apiKeys = new ApiKeyManager(DATA_FOLDER);
+apiKeys.load();
+
+// Outgoing webhooks
+const webhooks = new WebhookManager(DATA_FOLDER);
+webhooks.load();
+
+// Web Push notifications for browsers with the app closed
+const push = new PushManager(DATA_FOLDER, { subject: process.env.VAPID_SUBJECT });
+push.load();
+
+// Canned responses for the composer
+const quickReplies = new QuickReplyManager(DATA_FOLDER);
+quickReplies.load();
 
 // Convert audio to ogg/opus format for WhatsApp PTT
 async function convertAudioToOgg(inputBuffer, inputMimetype) {
@@ -101,6 +162,42 @@ async function convertAudioToOgg(inputBuffer, inputMimetype) {
     });
 }
 
+// Convert an image to a 512x512 WebP, the format WhatsApp expects for stickers
+async function convertImageToSticker(inputBuffer, inputMimetype) {
+    if (inputMimetype === 'image/webp') {
+        return inputBuffer;
+    }
+
+    return new Promise((resolve, reject) => {
+        const timestamp = Date.now();
+        const inputPath = path.join(UPLOADS_FOLDER, `sticker_${timestamp}`);
+        const outputPath = path.join(UPLOADS_FOLDER, `sticker_${timestamp}.webp`);
+        fs.writeFileSync(inputPath, inputBuffer);
+
+        ffmpeg(inputPath)
+            .outputOptions([
+                '-vcodec', 'libwebp',
+                '-vf', 'scale=512:512:force_original_aspect_ratio=decrease,format=rgba,pad=512:512:(ow-iw)/2:(oh-ih)/2:color=#00000000',
+                '-lossless', '0',
+                '-q:v', '70',
+                '-frames:v', '1'
+            ])
+            .on('end', () => {
+                const outputBuffer = fs.readFileSync(outputPath);
+                fs.unlinkSync(inputPath);
+                fs.unlinkSync(outputPath);
+                resolve(outputBuffer);
+            })
+            .on('error', (err) => {
+                console.error('FFmpeg sticker error:', err.message);
+                try { fs.unlinkSync(inputPath); } catch {}
+                try { fs.unlinkSync(outputPath); } catch {}
+                reject(new Error(`FFmpeg error: ${err.message}`));
+            })
+            .save(outputPath);
+    });
+}
+
 // Multer config for file uploads
 const storage = multer.memoryStorage();
 const upload = multer({
@@ -110,11 +207,51 @@ const upload = multer({
 
 // Serve static files
 app.use(express.static(path.join(__dirname, '../public')));
-app.use(express.json());
+app.use(express.json({ limit: '100mb' }));
 
 // Logger
 const logger = pino({ level: 'silent' });
 
+// Downloaded attachments, served by /api/media
+const mediaCache = new MediaCache(path.join(DATA_FOLDER, 'media'), { logger });
+mediaCache.load();
+
+// Messages queued for a future time; attachments wait in the media cache
+const scheduler = new Scheduler(DATA_FOLDER, {
+    send: sendScheduledMessage,
+    isReady: (accountId) => accounts.get(accountId)?.connectionState === 'connected',
+    onUpdate: (item) => emitScheduledUpdate(item.accountId, item.jid)
+});
+
+// Bulk sends of an announcement, throttled to avoid bans
+const broadcasts = new BroadcastManager(DATA_FOLDER, {
+    checkNumber: (accountId, number) => checkWhatsAppNumber(accounts.get(accountId), number),
+    send: sendBroadcastMessage,
+    isReady: (accountId) => accounts.get(accountId)?.connectionState === 'connected',
+    onUpdate: (job) => emitToAccount(job.accountId, 'broadcast-update', broadcasts.toSummary(job))
+});
+
+// Answers sent by themselves to incoming messages (keywords, first contact, away)
+const autoReplies = new AutoReplyManager(DATA_FOLDER, {
+    send: sendAutoReply,
+    onLog: (entry) => emitToAccount(entry.accountId, 'auto-reply-logged', entry)
+});
+
+// Menu-driven bot conversations; they take precedence over auto-replies
+const flows = new FlowManager(DATA_FOLDER, {
+    send: (accountId, jid, text) => sendAutomaticMessage(accountId, jid, { text, type: 'text' }),
+    onHandover: handOverChat,
+    onChange: (accountId, jid) => {
+        const account = accounts.get(accountId);
+        if (account) emitToAccount(accountId, 'chat-inbox', formatChatInbox(account, jid));
+    }
+});
+
+// Full-text search over the stored messages of every account
+const searchIndex = new SearchIndex({
+    resolveName: (accountId, jid) => lookupContactName(accounts.get(accountId), jid)
+});
+
 // ========== MULTI-ACCOUNT SYSTEM ==========
 
 // Account class to store all data for each WhatsApp account
@@ -125,13 +262,30 @@ class Account {
         this.sock = null;
         this.connectionState = 'disconnected';
         this.qrCodeData = null;
-        this.chats = new Map();
-        this.messages = new Map();
-        this.contacts = new Map();
-        this.profilePics = new Map();
-        this.pushNames = new Map();
+        this.store = createStore(STORE_DRIVER, id, STORE_FOLDER);
+        this.store.load();
+        searchIndex.addAccount(id, this.store);
         this.authFolder = path.join(AUTH_BASE_FOLDER, id);
         this.phoneNumber = null; // Will be set after connection
+        this.historyRequests = new Map(); // jid -> resolvers waiting for on-demand history
+        this.historyFetches = new Map(); // jid -> pending on-demand history fetch
+        this.historyExhausted = new Set(); // jids whose last history fetch came back empty
+        this.contactNames = new Map(); // jid -> resolved display name, cleared when contacts change
+        this.groups = new Map(); // group jid -> metadata (subject, participants...)
+
+        // Connection health
+        this.reconnectAttempts = 0;
+        this.reconnectTimer = null;
+        this.nextReconnectAt = null;
+        this.connectedAt = null;
+        this.lastDisconnectAt = null;
+        this.lastDisconnectReason = null;
+        this.lastError = null;
+    }
+
+    // Saved WhatsApp credentials, so the account can connect without a QR code
+    hasCredentials() {
+        return fs.existsSync(path.join(this.authFolder, 'creds.json'));
     }
 
     toJSON() {
@@ -142,6 +296,19 @@ class Account {
             phoneNumber: this.phoneNumber
         };
     }
+
+    getHealth() {
+        return {
+            state: this.connectionState,
+            hasCredentials: this.hasCredentials(),
+            connectedAt: this.connectedAt,
+            lastDisconnectAt: this.lastDisconnectAt,
+            lastDisconnectReason: this.lastDisconnectReason,
+            lastError: this.lastError,
+            reconnectAttempts: this.reconnectAttempts,
+            nextReconnectAt: this.nextReconnectAt
+        };
+    }
 }
 
 // Store all accounts
@@ -199,15 +366,75 @@ function getPhoneFromJid(jid) {
     return jid.split('@')[0].split(':')[0];
 }
 
+// WAMessage status codes (proto.WebMessageInfo.Status) as names
+const MESSAGE_STATUS = ['error', 'pending', 'sent', 'delivered', 'read', 'played'];
+
+function getMessageStatusName(status) {
+    return MESSAGE_STATUS[status] || null;
+}
+
+// Name of a DisconnectReason code, for logs and health reports
+function getDisconnectReasonName(code) {
+    return Object.keys(DisconnectReason).find(key => DisconnectReason[key] === code) || (code ? String(code) : 'unknown');
+}
+
+function cancelReconnect(account) {
+    clearTimeout(account.reconnectTimer);
+    account.reconnectTimer = null;
+    account.nextReconnectAt = null;
+}
+
+// Try again later, doubling the wait on every failed attempt up to RECONNECT_MAX_DELAY
+function scheduleReconnect(account) {
+    cancelReconnect(account);
+    const delay = Math.min(RECONNECT_BASE_DELAY * 2 ** account.reconnectAttempts, RECONNECT_MAX_DELAY);
+    account.reconnectAttempts++;
+    account.nextReconnectAt = Date.now() + delay;
+    console.log(`Reconectando conta ${account.name} em ${Math.round(delay / 1000)}s (tentativa ${account.reconnectAttempts})`);
+    emitToAccount(account.id, 'account-status', {
+        accountId: account.id,
+        status: 'disconnected',
+        message: `Reconectando em ${Math.round(delay / 1000)}s...`
+    });
+    account.reconnectTimer = setTimeout(() => {
+        account.reconnectTimer = null;
+        account.nextReconnectAt = null;
+        connectAccount(account);
+    }, delay);
+}
+
+// Forget the WhatsApp session so the next connection asks for a new QR code
+function clearCredentials(account) {
+    fs.rmSync(account.authFolder, { recursive: true, force: true });
+    fs.mkdirSync(account.authFolder, { recursive: true });
+    account.phoneNumber = null;
+    saveAccountsToFile();
+}
+
 // Initialize WhatsApp connection for an account
-async function connectAccount(account, socket) {
+async function connectAccount(account) {
+    // The account may have been deleted while a reconnection was pending
+    if (accounts.get(account.id) !== account) return;
+    cancelReconnect(account);
+    account.connectionState = 'connecting';
+    emitAccountsUpdate();
+
     // Create auth folder if needed
     if (!fs.existsSync(account.authFolder)) {
         fs.mkdirSync(account.authFolder, { recursive: true });
     }
 
-    const { state, saveCreds } = await useMultiFileAuthState(account.authFolder);
-    const { version } = await fetchLatestBaileysVersion();
+    let state, saveCreds, version;
+    try {
+        ({ state, saveCreds } = await useMultiFileAuthState(account.authFolder));
+        ({ version } = await fetchLatestBaileysVersion());
+    } catch (err) {
+        console.error(`Erro ao iniciar conexão de ${account.name}:`, err.message);
+        account.connectionState = 'disconnected';
+        account.lastError = err.message;
+        scheduleReconnect(account);
+        return;
+    }
 
     account.sock = makeWASocket({
         version,
@@ -220,13 +447,9 @@ async function connectAccount(account, socket) {
         generateHighQualityLinkPreview: true,
         syncFullHistory: true,
         getMessage: async (key) => {
-            const msgs = account.messages.get(key.remoteJid);
-            if (msgs) {
-                const msg = msgs.find(m => m.key.id === key.id);
-                return msg?.message;
-            }
-            return undefined;
-        }
+            return account.store.getMessage(key.remoteJid, key.id)?.message;
+        },
+        cachedGroupMetadata: async (jid) => account.groups.get(jid)
     });
 
     const sock = account.sock;
@@ -238,30 +461,55 @@ async function connectAccount(account, socket) {
         if (qr) {
             account.qrCodeData = await QRCode.toDataURL(qr);
             account.connectionState = 'qr';
-            io.emit('account-qr', { accountId: account.id, qr: account.qrCodeData });
-            io.emit('account-status', { accountId: account.id, status: 'qr', message: 'Escaneie o QR Code' });
+            emitToAccount(account.id, 'account-qr', { accountId: account.id, qr: account.qrCodeData });
+            emitToAccount(account.id, 'account-status', { accountId: account.id, status: 'qr', message: 'Escaneie o QR Code' });
+            webhooks.dispatch(account.id, 'connection.update', { state: 'qr', qr: account.qrCodeData });
         }
 
         if (connection === 'close') {
-            const shouldReconnect = lastDisconnect?.error?.output?.statusCode !== DisconnectReason.loggedOut;
+            // A newer socket already replaced this one
+            if (account.sock !== sock) return;
+
+            const statusCode = lastDisconnect?.error?.output?.statusCode;
+            const loggedOut = statusCode === DisconnectReason.loggedOut || statusCode === DisconnectReason.badSession;
 
             account.connectionState = 'disconnected';
-            io.emit('account-status', { accountId: account.id, status: 'disconnected', message: 'Desconectado' });
-            io.emit('accounts-update', getAccountsList());
+            account.qrCodeData = null;
+            account.connectedAt = null;
+            account.lastDisconnectAt = Date.now();
+            account.lastDisconnectReason = getDisconnectReasonName(statusCode);
+            account.lastError = lastDisconnect?.error?.message || null;
+            emitToAccount(account.id, 'account-status', { accountId: account.id, status: 'disconnected', message: 'Desconectado' });
+            emitAccountsUpdate();
+
+            webhooks.dispatch(account.id, 'connection.update', {
+                state: loggedOut ? 'logged_out' : 'disconnected',
+                reason: statusCode || null
+            });
 
-            if (shouldReconnect) {
-                console.log(`Reconectando conta ${account.name}...`);
-                setTimeout(() => connectAccount(account, socket), 3000);
+            if (loggedOut) {
+                // Logged out from the phone, or credentials that can no longer be used
+                console.log(`Conta ${account.name} deslogada (${account.lastDisconnectReason}).`);
+                clearCredentials(account);
+            } else if (statusCode === DisconnectReason.connectionReplaced) {
+                // Another client took over this session; reconnecting would just kick it out
+                console.log(`Conta ${account.name}: conexão substituída por outra sessão.`);
+            } else if (statusCode === DisconnectReason.restartRequired) {
+                // Expected right after pairing: start again at once
+                connectAccount(account);
+            } else if (!sock.authState.creds.registered) {
+                // The QR code expired without being scanned; wait for someone to ask again
+                console.log(`Conta ${account.name}: QR Code expirou.`);
             } else {
-                console.log(`Conta ${account.name} deslogada.`);
-                fs.rmSync(account.authFolder, { recursive: true, force: true });
-                fs.mkdirSync(account.authFolder, { recursive: true });
-                account.phoneNumber = null;
-                saveAccountsToFile();
+                scheduleReconnect(account);
             }
         } else if (connection === 'open') {
             account.connectionState = 'connected';
             account.qrCodeData = null;
+            account.reconnectAttempts = 0;
+            account.historyExhausted.clear();
+            account.connectedAt = Date.now();
+            account.lastError = null;
 
             // Extract phone number from connection
             if (sock.user?.id) {
@@ -269,9 +517,10 @@ async function connectAccount(account, socket) {
                 saveAccountsToFile();
             }
 
-            io.emit('account-status', { accountId: account.id, status: 'connected', message: 'Conectado!' });
-            io.emit('accounts-update', getAccountsList());
+            emitToAccount(account.id, 'account-status', { accountId: account.id, status: 'connected', message: 'Conectado!' });
+            emitAccountsUpdate();
             console.log(`WhatsApp conectado: ${account.name} (${account.phoneNumber})`);
+            webhooks.dispatch(account.id, 'connection.update', { state: 'connected', phoneNumber: account.phoneNumber });
 
             loadChatsForAccount(account);
         }
@@ -295,36 +544,37 @@ async function connectAccount(account, socket) {
             };
 
             if (name) {
-                account.contacts.set(contact.id, contactData);
-                account.contacts.set(normalizedId, contactData);
-                account.pushNames.set(normalizedId, name);
-                account.pushNames.set(phoneNumber, name);
+                // Names given in the app survive the phone's address book sync
+                const localName = account.store.getContact(normalizedId)?.localName;
+                if (localName) contactData.localName = localName;
+                account.store.setContact(contact.id, contactData);
+                account.store.setContact(normalizedId, contactData);
+                account.store.setPushName(normalizedId, name);
+                account.store.setPushName(phoneNumber, name);
             }
         }
-        console.log(`[${account.name}] Total contatos: ${account.contacts.size}`);
+        console.log(`[${account.name}] Total contatos: ${account.store.contacts.size}`);
+        account.contactNames.clear();
         if (account.connectionState === 'connected') {
-            getFormattedChats(account).then(chats => {
-                io.emit('chats-update', { accountId: account.id, chats });
-            });
+            emitChatsUpdate(account);
         }
     });
 
     sock.ev.on('contacts.update', (updates) => {
         for (const update of updates) {
-            const existing = account.contacts.get(update.id) || {};
+            const existing = account.store.getContact(update.id) || {};
             const name = update.name || update.notify || existing.name;
             if (name) {
-                account.contacts.set(update.id, {
+                account.store.setContact(update.id, {
                     ...existing,
                     name,
                     notify: update.notify || existing.notify
                 });
             }
         }
+        account.contactNames.clear();
         if (account.connectionState === 'connected') {
-            getFormattedChats(account).then(chats => {
-                io.emit('chats-update', { accountId: account.id, chats });
-            });
+            emitChatsUpdate(account);
         }
     });
 
@@ -336,55 +586,184 @@ async function connectAccount(account, socket) {
             if (msg.pushName && !msg.key.fromMe) {
                 const normalizedJid = normalizeJid(jid);
                 const phoneNumber = getPhoneFromJid(jid);
-                account.pushNames.set(normalizedJid, msg.pushName);
-                account.pushNames.set(phoneNumber, msg.pushName);
-                if (!account.contacts.has(normalizedJid)) {
-                    account.contacts.set(normalizedJid, { name: msg.pushName, notify: msg.pushName });
+                account.store.setPushName(normalizedJid, msg.pushName);
+                account.store.setPushName(phoneNumber, msg.pushName);
+                if (!account.store.getContact(normalizedJid)) {
+                    account.store.setContact(normalizedJid, { name: msg.pushName, notify: msg.pushName });
                 }
+                account.contactNames.delete(jid);
             }
 
-            if (!account.messages.has(jid)) {
-                account.messages.set(jid, []);
-            }
+            // Reactions, edits and deletions arrive through messages.reaction / messages.update
+            if (isMessageChange(msg)) continue;
+
+            const isNew = storeMessage(account, msg);
 
-            const existing = account.messages.get(jid);
-            if (!existing.find(m => m.key.id === msg.key.id)) {
-                existing.push(msg);
+            if (isNew && type === 'notify') {
+                mediaCache.prefetch(account, msg);
+
+                const contactInfo = await getContactInfo(account, jid);
+                webhooks.dispatch(account.id, 'messages.upsert', {
+                    jid,
+                    contact: contactInfo.name,
+                    message: await formatMessage(account, msg)
+                });
             }
 
             if (!msg.key.fromMe && type === 'notify') {
                 const contactInfo = await getContactInfo(account, jid);
+                const message = await formatMessage(account, msg);
 
-                io.emit('new-message', {
+                emitToAccount(account.id, 'new-message', {
                     accountId: account.id,
                     jid,
-                    message: await formatMessage(account, msg, true),
+                    message,
                     contact: contactInfo.name,
                     profilePic: contactInfo.profilePic
                 });
 
+                if (isNew) {
+                    notifyNewMessage(account, jid, contactInfo.name, message);
+                    runAutomations(account, jid, msg, contactInfo.name);
+                    // A customer writing again reopens a resolved conversation
+                    if (account.store.getInbox(jid)?.status === 'resolved') {
+                        account.store.updateInbox(jid, { status: 'open' });
+                        emitToAccount(account.id, 'chat-inbox', formatChatInbox(account, jid));
+                    }
+                }
+
                 await updateChatInList(account, jid, msg);
             }
         }
     });
 
+    // Handle message status changes (sent, delivered, read...)
+    sock.ev.on('messages.update', (updates) => {
+        for (const { key, update } of updates) {
+            // Deleted for everyone
+            if (update.messageStubType === WAMessageStubType.REVOKE) {
+                applyMessageUpdate(account, key, { message: null, messageStubType: WAMessageStubType.REVOKE });
+                continue;
+            }
+            // Edited: the new content comes wrapped in editedMessage
+            if (update.message?.editedMessage) {
+                applyMessageUpdate(account, key, { message: update.message });
+                continue;
+            }
+
+            if (update.status === undefined || update.status === null) continue;
+
+            // Acks can arrive out of order; never go back from read to delivered
+            const stored = account.store.getMessage(key.remoteJid, key.id);
+            if (stored && stored.status > update.status) continue;
+
+            account.store.updateMessage(key.remoteJid, key.id, { status: update.status });
+            const status = getMessageStatusName(update.status);
+
+            emitToAccount(account.id, 'message-status', {
+                accountId: account.id,
+                jid: key.remoteJid,
+                id: key.id,
+                status
+            });
+            webhooks.dispatch(account.id, 'message.status', {
+                jid: key.remoteJid,
+                id: key.id,
+                fromMe: key.fromMe,
+                status
+            });
+        }
+    });
+
+    sock.ev.on('messages.reaction', (reactions) => {
+        for (const { key, reaction } of reactions) {
+            const target = account.store.getMessage(key.remoteJid, key.id);
+            if (!target) continue;
+            updateMessageWithReaction(target, reaction);
+            applyMessageUpdate(account, key, { reactions: target.reactions });
+        }
+    });
+
+    // WhatsApp Business labels, mirrored as account labels prefixed "wa_"
+    sock.ev.on('labels.edit', (label) => {
+        const id = `wa_${label.id}`;
+        if (label.deleted) {
+            account.store.removeLabel(id);
+        } else {
+            account.store.setLabel({
+                id,
+                name: label.name,
+                color: WA_LABEL_COLORS[label.color % WA_LABEL_COLORS.length] || WA_LABEL_COLORS[0],
+                waLabelId: label.id
+            });
+        }
+        emitLabelsUpdate(account);
+    });
+
+    sock.ev.on('labels.association', ({ association, type }) => {
+        if (association.type !== LabelAssociationType.Chat) return;
+        const id = `wa_${association.labelId}`;
+        const labels = getContactCrm(account, association.chatId).labels.filter(l => l !== id);
+        if (type === 'add') labels.push(id);
+        account.store.updateCrm(association.chatId, { labels });
+        emitToAccount(account.id, 'contact-crm', formatContactCrm(account, association.chatId));
+    });
+
+    // Per-recipient receipts (mostly in groups)
+    sock.ev.on('message-receipt.update', (updates) => {
+        for (const { key, receipt } of updates) {
+            const status = receipt.readTimestamp ? 'read' : receipt.receiptTimestamp ? 'delivered' : null;
+            if (!status) continue;
+
+            webhooks.dispatch(account.id, 'message.status', {
+                jid: key.remoteJid,
+                id: key.id,
+                fromMe: key.fromMe,
+                participant: receipt.userJid,
+                status
+            });
+        }
+    });
+
+    // Keep group metadata current
+    sock.ev.on('groups.upsert', (groups) => {
+        for (const group of groups) {
+            account.groups.set(group.id, group);
+            account.contactNames.delete(group.id);
+        }
+    });
+
+    sock.ev.on('groups.update', (updates) => {
+        for (const update of updates) {
+            const cached = account.groups.get(update.id);
+            if (cached) Object.assign(cached, update);
+            if (update.subject) {
+                mergeContact(account, update.id, { name: update.subject, notify: update.subject });
+                account.contactNames.delete(update.id);
+            }
+            emitToAccount(account.id, 'group-update', { accountId: account.id, jid: update.id });
+        }
+    });
+
+    sock.ev.on('group-participants.update', ({ id }) => {
+        // Fetched again on next use
+        account.groups.delete(id);
+        emitToAccount(account.id, 'group-update', { accountId: account.id, jid: id });
+    });
+
     // Handle chat updates
     sock.ev.on('chats.upsert', async (newChats) => {
         for (const chat of newChats) {
-            account.chats.set(chat.id, chat);
+            account.store.setChat(chat);
         }
-        io.emit('chats-update', { accountId: account.id, chats: await getFormattedChats(account) });
+        await emitChatsUpdate(account);
     });
 
     sock.ev.on('chats.update', async (updates) => {
         for (const update of updates) {
-            const chat = account.chats.get(update.id);
-            if (chat) {
-                Object.assign(chat, update);
-                account.chats.set(update.id, chat);
-            }
+            account.store.updateChat(update.id, update);
         }
-        io.emit('chats-update', { accountId: account.id, chats: await getFormattedChats(account) });
+        await emitChatsUpdate(account);
     });
 
     // Handle message history sync
@@ -393,16 +772,16 @@ async function connectAccount(account, socket) {
 
         // First, extract chat names from chat metadata
         for (const chat of syncedChats) {
-            account.chats.set(chat.id, chat);
+            account.store.setChat(chat);
 
             // Extract name from chat if available
             if (chat.name) {
                 const normalizedJid = normalizeJid(chat.id);
                 const phoneNumber = getPhoneFromJid(chat.id);
-                account.contacts.set(chat.id, { name: chat.name, notify: chat.name });
-                account.contacts.set(normalizedJid, { name: chat.name, notify: chat.name });
-                account.pushNames.set(normalizedJid, chat.name);
-                account.pushNames.set(phoneNumber, chat.name);
+                mergeContact(account, chat.id, { name: chat.name, notify: chat.name });
+                mergeContact(account, normalizedJid, { name: chat.name, notify: chat.name });
+                account.store.setPushName(normalizedJid, chat.name);
+                account.store.setPushName(phoneNumber, chat.name);
             }
         }
 
@@ -417,29 +796,33 @@ async function connectAccount(account, socket) {
 
                 // For received messages, use the pushName
                 if (!msg.key.fromMe) {
-                    account.pushNames.set(normalizedJid, msg.pushName);
-                    account.pushNames.set(phoneNumber, msg.pushName);
-                    account.pushNames.set(jid, msg.pushName);
+                    account.store.setPushName(normalizedJid, msg.pushName);
+                    account.store.setPushName(phoneNumber, msg.pushName);
+                    account.store.setPushName(jid, msg.pushName);
 
-                    if (!account.contacts.has(normalizedJid) || !account.contacts.get(normalizedJid).name) {
-                        account.contacts.set(normalizedJid, { name: msg.pushName, notify: msg.pushName });
-                        account.contacts.set(jid, { name: msg.pushName, notify: msg.pushName });
+                    if (!account.store.getContact(normalizedJid)?.name) {
+                        mergeContact(account, normalizedJid, { name: msg.pushName, notify: msg.pushName });
+                        mergeContact(account, jid, { name: msg.pushName, notify: msg.pushName });
                         extractedNames++;
                     }
                 }
             }
 
-            if (!account.messages.has(jid)) {
-                account.messages.set(jid, []);
-            }
-            const existing = account.messages.get(jid);
-            if (!existing.find(m => m.key.id === msg.key.id)) {
-                existing.push(msg);
+            if (!isMessageChange(msg)) storeMessage(account, msg);
+        }
+
+        // Wake up pages waiting for older messages of these chats
+        for (const jid of new Set(syncedMessages.map(m => m.key.remoteJid))) {
+            const waiting = account.historyRequests.get(jid);
+            if (waiting) {
+                account.historyRequests.delete(jid);
+                waiting.forEach(resolve => resolve(true));
             }
         }
 
-        console.log(`[${account.name}] PushNames extraídos: ${extractedNames}, Total contatos: ${account.contacts.size}`);
-        io.emit('chats-update', { accountId: account.id, chats: await getFormattedChats(account) });
+        console.log(`[${account.name}] PushNames extraídos: ${extractedNames}, Total contatos: ${account.store.contacts.size}`);
+        account.contactNames.clear();
+        await emitChatsUpdate(account);
     });
 }
 
@@ -447,34 +830,44 @@ async function connectAccount(account, socket) {
 async function loadChatsForAccount(account) {
     try {
         await account.sock.groupFetchAllParticipating();
-        io.emit('chats-update', { accountId: account.id, chats: await getFormattedChats(account) });
+        await emitChatsUpdate(account);
     } catch (err) {
         console.error(`Error loading chats for ${account.name}:`, err);
     }
 }
 
-// Get contact info for an account
-async function getContactInfo(account, jid) {
+// Update the synced fields of a contact, keeping the rest (e.g. the name given in the app)
+function mergeContact(account, id, data) {
+    account.store.setContact(id, { ...account.store.getContact(id), ...data });
+}
+
+// Name of a contact from the synced contacts and push names, or null. Results are
+// cached per account because the chat list resolves every chat on each update.
+function lookupContactName(account, jid) {
+    if (account.contactNames.has(jid)) {
+        return account.contactNames.get(jid);
+    }
+
     const normalizedJid = normalizeJid(jid);
     const phoneNumber = getPhoneFromJid(jid);
     let name = null;
 
-    const contact = account.contacts.get(normalizedJid) || account.contacts.get(jid);
+    const contact = account.store.getContact(normalizedJid) || account.store.getContact(jid);
     if (contact) {
-        name = contact.name || contact.notify || contact.verifiedName;
+        name = contact.localName || contact.name || contact.notify || contact.verifiedName;
     }
 
     if (!name) {
-        for (const [key, value] of account.contacts.entries()) {
+        for (const [key, value] of account.store.contacts.entries()) {
             if (getPhoneFromJid(key) === phoneNumber) {
-                name = value.name || value.notify || value.verifiedName;
+                name = value.localName || value.name || value.notify || value.verifiedName;
                 if (name) break;
             }
         }
     }
 
     if (!name) {
-        name = account.pushNames.get(normalizedJid) || account.pushNames.get(jid) || account.pushNames.get(phoneNumber);
+        name = account.store.getPushName(normalizedJid) || account.store.getPushName(jid) || account.store.getPushName(phoneNumber);
     }
 
     if (!name && account.sock?.store?.contacts) {
@@ -484,12 +877,23 @@ async function getContactInfo(account, jid) {
         }
     }
 
+    name = name || null;
+    account.contactNames.set(jid, name);
+    return name;
+}
+
+// Get contact info for an account
+async function getContactInfo(account, jid) {
+    const phoneNumber = getPhoneFromJid(jid);
+    let name = lookupContactName(account, jid);
+
     if (!name) {
         if (jid.endsWith('@g.us')) {
             try {
-                const metadata = await account.sock.groupMetadata(jid);
+                const metadata = await getGroupMetadata(account, jid);
                 name = metadata.subject;
-                account.contacts.set(jid, { name, notify: name });
+                mergeContact(account, jid, { name, notify: name });
+                account.contactNames.set(jid, name);
             } catch {
                 name = jid.split('@')[0];
             }
@@ -519,29 +923,142 @@ async function getContactInfo(account, jid) {
     return { name, profilePic };
 }
 
+// Group metadata, from the cache unless `refresh` is set
+async function getGroupMetadata(account, jid, refresh = false) {
+    if (!refresh && account.groups.has(jid)) {
+        return account.groups.get(jid);
+    }
+    if (account.connectionState !== 'connected') {
+        throw new Error('Conta não conectada');
+    }
+    const metadata = await account.sock.groupMetadata(jid);
+    account.groups.set(jid, metadata);
+    return metadata;
+}
+
+function formatGroupInfo(account, metadata) {
+    return {
+        jid: metadata.id,
+        subject: metadata.subject,
+        desc: metadata.desc || '',
+        owner: metadata.owner || null,
+        creation: metadata.creation || null,
+        participants: metadata.participants.map(p => ({
+            jid: p.id,
+            number: getPhoneFromJid(p.id),
+            name: lookupContactName(account, p.id) || getPhoneFromJid(p.id),
+            admin: p.admin || null
+        }))
+    };
+}
+
+// Turn phone numbers (or jids) into WhatsApp user jids, failing on numbers without WhatsApp
+async function resolveParticipantJids(account, participants) {
+    const jids = [];
+    for (const participant of participants) {
+        if (String(participant).includes('@')) {
+            jids.push(participant);
+            continue;
+        }
+        const result = await checkWhatsAppNumber(account, participant);
+        if (!result.exists) {
+            throw new Error(`Número ${participant} não encontrado no WhatsApp`);
+        }
+        jids.push(result.jid);
+    }
+    return jids;
+}
+
 // Get profile picture for an account
 async function getProfilePicture(account, jid) {
-    if (account.profilePics.has(jid)) {
-        return account.profilePics.get(jid);
+    if (account.store.hasProfilePic(jid)) {
+        return account.store.getProfilePic(jid);
     }
+    // Not cached as missing: it is looked up again once connected
+    if (account.connectionState !== 'connected') return null;
 
     try {
         const url = await account.sock.profilePictureUrl(jid, 'image');
-        account.profilePics.set(jid, url);
+        account.store.setProfilePic(jid, url);
         return url;
     } catch {
-        account.profilePics.set(jid, null);
+        account.store.setProfilePic(jid, null);
         return null;
     }
 }
 
-// Format message for frontend
-async function formatMessage(account, msg, downloadMedia = false) {
-    const content = msg.message;
+// Reactions and protocol messages (edit/delete) change another message instead of being shown
+function isMessageChange(msg) {
+    const content = normalizeMessageContent(msg.message);
+    return !!(content?.reactionMessage || content?.protocolMessage);
+}
+
+// Store a message and make it searchable. Returns false if it was already stored.
+function storeMessage(account, msg) {
+    const isNew = account.store.addMessage(msg);
+    if (isNew) searchIndex.add(account.id, msg);
+    return isNew;
+}
+
+// Save a change to a stored message and send the re-rendered message to the clients
+async function applyMessageUpdate(account, key, update) {
+    const msg = account.store.updateMessage(key.remoteJid, key.id, update);
+    if (!msg) return;
+    // Edits replace the indexed text, deletions drop it
+    if ('message' in update) searchIndex.add(account.id, msg);
+    emitToAccount(account.id, 'message-update', {
+        accountId: account.id,
+        jid: key.remoteJid,
+        message: await formatMessage(account, msg)
+    });
+}
+
+// contextInfo (mentions, quoted message...) of whichever part of the message carries it
+function getContextInfo(content) {
+    if (!content) return null;
+    for (const value of Object.values(content)) {
+        if (value && typeof value === 'object' && value.contextInfo) return value.contextInfo;
+    }
+    return null;
+}
+
+// Plain text of a message (body or caption), used for searching
+function getMessageText(msg) {
+    const content = normalizeMessageContent(msg.message);
+    if (!content) return '';
+    return content.conversation ||
+        content.extendedTextMessage?.text ||
+        content.imageMessage?.caption ||
+        content.videoMessage?.caption ||
+        content.documentMessage?.caption ||
+        content.documentMessage?.fileName ||
+        '';
+}
+
+// URL the browser uses to fetch the media of a message
+function getMediaUrl(account, msg) {
+    return `/api/media/${encodeURIComponent(account.id)}/${encodeURIComponent(msg.key.remoteJid)}/${encodeURIComponent(msg.key.id)}`;
+}
+
+// Format message for frontend. Media is not inlined: the payload carries a URL and a thumbnail.
+async function formatMessage(account, msg) {
+    const content = normalizeMessageContent(msg.message);
     let text = '';
     let type = 'text';
-    let mediaData = null;
     let mediaMimetype = null;
+    const extra = {};
+
+    if (msg.messageStubType === WAMessageStubType.REVOKE) {
+        return {
+            id: msg.key.id,
+            fromMe: msg.key.fromMe,
+            text: '',
+            type: 'deleted',
+            timestamp: msg.messageTimestamp,
+            pushName: msg.pushName,
+            status: null
+        };
+    }
 
     if (content?.conversation) {
         text = content.conversation;
@@ -551,202 +1068,1111 @@ async function formatMessage(account, msg, downloadMedia = false) {
         text = content.imageMessage.caption || '';
         type = 'image';
         mediaMimetype = content.imageMessage.mimetype;
-        if (downloadMedia) {
-            try {
-                const buffer = await downloadMediaMessage(msg, 'buffer', {});
-                mediaData = buffer.toString('base64');
-            } catch (e) {
-                console.log('Erro ao baixar imagem:', e.message);
-            }
-        }
     } else if (content?.videoMessage) {
         text = content.videoMessage.caption || '';
         type = 'video';
+        mediaMimetype = content.videoMessage.mimetype;
+        extra.seconds = content.videoMessage.seconds || null;
     } else if (content?.audioMessage) {
         text = '';
         type = 'audio';
         mediaMimetype = content.audioMessage.mimetype;
-        if (downloadMedia) {
-            try {
-                const buffer = await downloadMediaMessage(msg, 'buffer', {});
-                mediaData = buffer.toString('base64');
-            } catch (e) {
-                console.log('Erro ao baixar áudio:', e.message);
-            }
-        }
     } else if (content?.documentMessage) {
-        text = content.documentMessage.fileName || 'Documento';
+        text = content.documentMessage.caption || '';
         type = 'document';
+        mediaMimetype = content.documentMessage.mimetype;
+        extra.fileName = content.documentMessage.fileName || 'Documento';
+        extra.fileLength = toNumber(content.documentMessage.fileLength) || null;
     } else if (content?.stickerMessage) {
         text = '';
         type = 'sticker';
+        mediaMimetype = content.stickerMessage.mimetype || 'image/webp';
+    } else if (content?.locationMessage || content?.liveLocationMessage) {
+        const location = content.locationMessage || content.liveLocationMessage;
+        type = 'location';
+        text = location.name || location.address || (content.liveLocationMessage ? 'Localização em tempo real' : 'Localização');
+        extra.location = {
+            latitude: location.degreesLatitude,
+            longitude: location.degreesLongitude,
+            name: location.name || null,
+            address: location.address || null,
+            live: !!content.liveLocationMessage
+        };
+    } else if (content?.contactMessage || content?.contactsArrayMessage) {
+        const cards = content.contactMessage ? [content.contactMessage] : content.contactsArrayMessage.contacts || [];
+        type = 'contact';
+        extra.contacts = cards.map(card => {
+            const parsed = parseVcard(card.vcard);
+            return {
+                name: card.displayName || parsed?.name || 'Contato',
+                phones: parsed?.phones || []
+            };
+        });
+        text = extra.contacts.map(c => c.name).join(', ');
+    } else if (content?.pollCreationMessage || content?.pollCreationMessageV2 || content?.pollCreationMessageV3) {
+        const poll = content.pollCreationMessage || content.pollCreationMessageV2 || content.pollCreationMessageV3;
+        type = 'poll';
+        text = poll.name || 'Enquete';
+        extra.poll = {
+            name: poll.name,
+            options: (poll.options || []).map(o => o.optionName),
+            selectableCount: poll.selectableOptionsCount || 1
+        };
+    } else if (content?.reactionMessage) {
+        type = 'reaction';
+        text = content.reactionMessage.text || '';
+        extra.reaction = {
+            emoji: content.reactionMessage.text || '',
+            targetId: content.reactionMessage.key?.id || null
+        };
     } else {
         text = '[Mensagem não suportada]';
     }
 
+    const contextInfo = getContextInfo(content);
+    const mentioned = contextInfo?.mentionedJid;
+    if (mentioned?.length) {
+        extra.mentions = mentioned.map(jid => ({
+            jid,
+            number: getPhoneFromJid(jid),
+            name: lookupContactName(account, jid) || getPhoneFromJid(jid)
+        }));
+    }
+
+    if (contextInfo?.quotedMessage) {
+        const quotedAuthor = contextInfo.participant || msg.key.remoteJid;
+        const fromMe = normalizeJid(quotedAuthor) === normalizeJid(account.sock?.user?.id);
+        extra.quoted = {
+            id: contextInfo.stanzaId,
+            fromMe,
+            senderName: fromMe ? 'Você' : lookupContactName(account, quotedAuthor) || getPhoneFromJid(quotedAuthor),
+            text: getMessageText({ message: contextInfo.quotedMessage }) || '📎 Mídia'
+        };
+    }
+    if (contextInfo?.isForwarded) extra.forwarded = true;
+    if (msg.imported) extra.imported = true;
+    if (msg.message?.editedMessage) extra.edited = true;
+
+    // Reactions grouped by emoji
+    const reactions = (msg.reactions || []).filter(r => r.text);
+    if (reactions.length > 0) {
+        const byEmoji = new Map();
+        for (const reaction of reactions) {
+            const entry = byEmoji.get(reaction.text) || { emoji: reaction.text, count: 0, fromMe: false };
+            entry.count++;
+            if (reaction.key?.fromMe) entry.fromMe = true;
+            byEmoji.set(reaction.text, entry);
+        }
+        extra.reactions = Array.from(byEmoji.values());
+    }
+
+    // In groups, who sent it
+    const participant = msg.key.participant || msg.participant || null;
+    if (participant) {
+        extra.participant = participant;
+        if (!msg.key.fromMe) {
+            extra.senderName = lookupContactName(account, participant) || msg.pushName || getPhoneFromJid(participant);
+        }
+    }
+
+    const media = getMediaContent(msg);
+    if (media) {
+        extra.mediaUrl = getMediaUrl(account, msg);
+        if (media.jpegThumbnail) {
+            extra.thumbnail = `data:image/jpeg;base64,${Buffer.from(media.jpegThumbnail).toString('base64')}`;
+        }
+    }
+
     return {
         id: msg.key.id,
         fromMe: msg.key.fromMe,
         text,
         type,
-        mediaData,
         mediaMimetype,
+        ...extra,
         timestamp: msg.messageTimestamp,
-        pushName: msg.pushName
+        pushName: msg.pushName,
+        status: msg.key.fromMe ? (getMessageStatusName(msg.status) || 'sent') : null
     };
 }
 
+// Web Push for a received message, to every user allowed to see the account
+function notifyNewMessage(account, jid, contactName, message) {
+    const sender = jid.endsWith('@g.us') && message.pushName ? `${message.pushName}: ` : '';
+    push.notify(account.id, {
+        title: contactName,
+        body: sender + (message.text || 'Nova mensagem'),
+        tag: `${account.id}:${jid}`,
+        accountId: account.id,
+        accountName: account.name,
+        jid
+    }, userId => {
+        const user = auth.getUser(userId);
+        return !!user && auth.canAccessAccount(user, account.id);
+    }).catch(err => console.error('Erro ao notificar:', err.message));
+}
+
 // Update chat in list for an account
 async function updateChatInList(account, jid, msg) {
-    const existing = account.chats.get(jid) || { id: jid, unreadCount: 0 };
+    const existing = account.store.getChat(jid) || { id: jid, unreadCount: 0 };
     existing.lastMessage = await formatMessage(account, msg);
     existing.timestamp = msg.messageTimestamp;
     if (!msg.key.fromMe) {
         existing.unreadCount = (existing.unreadCount || 0) + 1;
     }
-    account.chats.set(jid, existing);
-    io.emit('chats-update', { accountId: account.id, chats: await getFormattedChats(account) });
+    account.store.setChat(existing);
+    await emitChatsUpdate(account);
 }
 
-// Get formatted chats for an account
-async function getFormattedChats(account) {
-    const chatArray = Array.from(account.chats.values());
-    const formatted = [];
+// Send read receipts for the unread messages of a chat and reset its counter
+async function markChatAsRead(account, jid) {
+    const chat = account.store.getChat(jid);
+    const unread = chat?.unreadCount || 0;
+    // Read receipts need the connection; until then the chat stays unread
+    if (unread === 0 || account.connectionState !== 'connected') return;
 
-    for (const chat of chatArray) {
-        if (!chat.lastMessage && !chat.conversationTimestamp) continue;
+    account.store.updateChat(jid, { unreadCount: 0 });
 
-        const contactInfo = await getContactInfo(account, chat.id);
+    const keys = account.store.getMessages(jid)
+        .filter(m => !m.key.fromMe && !m.imported)
+        .slice(-unread)
+        .map(m => m.key);
+    if (keys.length === 0) return;
 
-        formatted.push({
-            id: chat.id,
-            name: contactInfo.name,
-            profilePic: contactInfo.profilePic,
-            lastMessage: chat.lastMessage,
-            timestamp: chat.timestamp || chat.conversationTimestamp,
-            unreadCount: chat.unreadCount || 0
-        });
+    try {
+        await account.sock.readMessages(keys);
+    } catch (err) {
+        console.error(`[${account.name}] Erro ao enviar confirmação de leitura:`, err.message);
     }
+}
 
-    return formatted
-        .sort((a, b) => (b.timestamp || 0) - (a.timestamp || 0))
-        .slice(0, 50);
+const CHAT_FILTERS = ['all', 'unread', 'groups', 'archived', 'pinned', 'mine', 'unassigned', 'open', 'pending', 'resolved'];
+const INBOX_STATUSES = ['open', 'pending', 'resolved'];
+// Colors of WhatsApp Business labels, by the index the app sends
+const WA_LABEL_COLORS = [
+    '#ff9485', '#64c4ff', '#ffd429', '#dfaef0', '#99b6c1', '#55ccb3', '#ff9dff', '#d3a91d', '#6d7cce', '#d7e752',
+    '#00d0e2', '#ffc5c7', '#93ceac', '#f74848', '#00a0f2', '#83e422', '#ffaf04', '#b5ebff', '#9ba6ff', '#9368cf'
+];
+const CRM_FIELDS = ['email', 'company', 'notes'];
+const CONTACTS_PAGE_SIZE = 100;
+const CONTACTS_CHECK_BATCH = 50; // numbers per onWhatsApp query when importing
+const CONTACTS_CHECK_DELAY = 1000; // between two batches, to go easy on WhatsApp
+const contactImports = new Map(); // accountId -> progress of the running import
+
+function matchesChatFilter(account, chat, filter, userId) {
+    switch (filter) {
+        case 'unread': return chat.unreadCount > 0 && !chat.archived;
+        case 'groups': return chat.id.endsWith('@g.us') && !chat.archived;
+        case 'archived': return !!chat.archived;
+        case 'pinned': return !!chat.pinned;
+        case 'mine': return !!userId && getChatInbox(account, chat.id).assignee === userId && !chat.archived;
+        case 'unassigned': return !getChatInbox(account, chat.id).assignee && !chat.archived;
+        case 'open':
+        case 'pending':
+        case 'resolved':
+            return getChatInbox(account, chat.id).status === filter && !chat.archived;
+        default: return !chat.archived;
+    }
 }
 
-// Get list of all accounts
-function getAccountsList() {
-    return Array.from(accounts.values()).map(acc => acc.toJSON());
+// Team inbox state of a chat. Assignees that were removed or lost access
+// to the account count as unassigned.
+function getChatInbox(account, jid) {
+    const entry = account.store.getInbox(jid) || { assignee: null, status: 'open', notes: [] };
+    const user = entry.assignee ? auth.getUser(entry.assignee) : null;
+    return { ...entry, assignee: user && auth.canAccessAccount(user, account.id) ? user.id : null };
 }
 
-// ========== SOCKET.IO HANDLERS ==========
+function formatAssignee(userId) {
+    return userId ? { id: userId, username: auth.getUser(userId)?.username || null } : null;
+}
 
-io.on('connection', (socket) => {
-    console.log('Cliente conectado:', socket.id);
+// Inbox state sent to the browser, with the users the chat can be assigned to
+function formatChatInbox(account, jid) {
+    const inbox = getChatInbox(account, jid);
+    return {
+        accountId: account.id,
+        jid,
+        assignee: formatAssignee(inbox.assignee),
+        status: inbox.status,
+        // Notes without an author were written by the bot
+        notes: inbox.notes.map(note => ({ ...note, author: note.authorId ? auth.getUser(note.authorId)?.username || null : 'Bot' })),
+        bot: flows.getChatStatus(account.id, jid),
+        agents: auth.listUsers()
+            .filter(user => auth.canAccessAccount(user, account.id))
+            .map(user => ({ id: user.id, username: user.username }))
+    };
+}
 
-    // Send current accounts list
-    socket.emit('accounts-update', getAccountsList());
+// Labels and CRM fields of a contact (or group chat)
+function getContactCrm(account, jid) {
+    return account.store.getCrm(jid) || { labels: [], email: '', company: '', notes: '', custom: {} };
+}
 
-    // Create new account
-    socket.on('create-account', ({ name }) => {
-        const id = generateAccountId();
-        const account = new Account(id, name);
-        accounts.set(id, account);
-        saveAccountsToFile();
+function getChatLabels(account, jid) {
+    return getContactCrm(account, jid).labels
+        .map(id => account.store.getLabel(id))
+        .filter(Boolean)
+        .map(({ id, name, color }) => ({ id, name, color }));
+}
 
-        socket.emit('account-created', { accountId: id, name });
-        io.emit('accounts-update', getAccountsList());
+function formatContactCrm(account, jid) {
+    const { labels, ...fields } = getContactCrm(account, jid);
+    return { accountId: account.id, jid, labels: getChatLabels(account, jid), fields };
+}
 
-        console.log(`Nova conta criada: ${name} (${id})`);
-    });
+function formatLabels(account) {
+    const labels = account.store.getLabels().sort((a, b) => a.name.localeCompare(b.name));
+    return { accountId: account.id, labels };
+}
 
-    // Connect account (start WhatsApp connection)
-    socket.on('connect-account', async ({ accountId }) => {
-        const account = accounts.get(accountId);
-        if (!account) {
-            socket.emit('error', { message: 'Conta não encontrada' });
-            return;
-        }
+function emitLabelsUpdate(account) {
+    emitToAccount(account.id, 'labels-update', formatLabels(account));
+}
 
-        if (account.connectionState === 'connected') {
-            socket.emit('account-status', { accountId, status: 'connected', message: 'Já conectado!' });
-            getFormattedChats(account).then(chats => {
-                socket.emit('chats-update', { accountId, chats });
-            });
-            return;
-        }
+// Change the labels of a chat, mirroring WhatsApp Business labels on the phone
+async function setChatLabels(account, jid, labelIds) {
+    const current = getContactCrm(account, jid).labels;
+    const next = Array.from(new Set(labelIds)).filter(id => account.store.getLabel(id));
 
-        if (!account.sock || account.connectionState === 'disconnected') {
-            connectAccount(account, socket);
+    if (account.sock && account.connectionState === 'connected') {
+        for (const id of current.filter(id => !next.includes(id))) {
+            const waLabelId = account.store.getLabel(id)?.waLabelId;
+            if (waLabelId) await account.sock.removeChatLabel(jid, waLabelId);
         }
-    });
-
-    // Get account status and chats
-    socket.on('get-account-state', async ({ accountId }) => {
-        const account = accounts.get(accountId);
-        if (!account) {
-            socket.emit('error', { message: 'Conta não encontrada' });
-            return;
+        for (const id of next.filter(id => !current.includes(id))) {
+            const waLabelId = account.store.getLabel(id).waLabelId;
+            if (waLabelId) await account.sock.addChatLabel(jid, waLabelId);
         }
+    }
 
-        socket.emit('account-status', {
-            accountId,
-            status: account.connectionState,
-            message: account.connectionState === 'connected' ? 'Conectado!' :
-                     account.connectionState === 'qr' ? 'Escaneie o QR Code' : 'Desconectado'
-        });
+    account.store.updateCrm(jid, { labels: next });
+    emitToAccount(account.id, 'contact-crm', formatContactCrm(account, jid));
+    await emitChatsUpdate(account);
+}
 
-        if (account.qrCodeData) {
-            socket.emit('account-qr', { accountId, qr: account.qrCodeData });
-        }
+// Recipients of a bulk send: the contacts carrying a label, with their
+// name and CRM fields as template variables
+function getLabelRecipients(account, labelId) {
+    if (!account.store.getLabel(labelId)) {
+        throw new Error('Etiqueta não encontrada');
+    }
+    const recipients = [];
+    for (const [jid, entry] of account.store.crm) {
+        if (!entry.labels.includes(labelId) || !jid.endsWith('@s.whatsapp.net')) continue;
+        const name = lookupContactName(account, jid) || '';
+        const custom = Object.fromEntries(Object.entries(entry.custom || {})
+            .map(([key, value]) => [key.toLowerCase().replace(/\s+/g, '_'), value]));
+        recipients.push(createRecipient(getPhoneFromJid(jid), {
+            ...custom,
+            nome: name,
+            primeiro_nome: name.split(' ')[0],
+            email: entry.email,
+            empresa: entry.company
+        }));
+    }
+    return recipients;
+}
 
-        if (account.connectionState === 'connected') {
-            getFormattedChats(account).then(chats => {
-                socket.emit('chats-update', { accountId, chats });
-            });
-        }
+function addChatNote(account, jid, text, authorId) {
+    account.store.updateInbox(jid, {
+        notes: [...getChatInbox(account, jid).notes, {
+            id: 'note_' + Date.now().toString(36) + Math.random().toString(36).slice(2, 7),
+            text,
+            authorId,
+            createdAt: Date.now()
+        }]
     });
+}
 
-    // Rename account
-    socket.on('rename-account', ({ accountId, name }) => {
-        const account = accounts.get(accountId);
+// Show an inbox change to every operator of the account
+async function emitInboxUpdate(account, jid) {
+    emitToAccount(account.id, 'chat-inbox', formatChatInbox(account, jid));
+    await emitChatsUpdate(account);
+}
+
+// Search a chat by contact name, number or message text
+function matchesChatSearch(account, chat, term) {
+    const name = lookupContactName(account, chat.id) || '';
+    if (name.toLowerCase().includes(term)) return true;
+
+    const digits = term.replace(/\D/g, '');
+    if (digits && getPhoneFromJid(chat.id).includes(digits)) return true;
+
+    return account.store.getMessages(chat.id).some(msg => getMessageText(msg).toLowerCase().includes(term));
+}
+
+// Get a page of formatted chats: pinned first, then most recent. Contact info is only
+// resolved for the chats in the page.
+// `userId` is the operator asking, for the "mine" filter; `label` keeps only
+// the chats with that label.
+async function getChatsPage(account, { offset = 0, limit = 50, search, filter = 'all', label, userId } = {}) {
+    const term = (search || '').trim().toLowerCase();
+
+    const matching = account.store.getChats()
+        .filter(chat => chat.lastMessage || chat.conversationTimestamp)
+        .filter(chat => matchesChatFilter(account, chat, filter, userId))
+        .filter(chat => !label || getContactCrm(account, chat.id).labels.includes(label))
+        .filter(chat => !term || matchesChatSearch(account, chat, term))
+        .sort((a, b) =>
+            (Number(b.pinned) || 0) - (Number(a.pinned) || 0) ||
+            (Number(b.timestamp || b.conversationTimestamp) || 0) - (Number(a.timestamp || a.conversationTimestamp) || 0)
+        );
+
+    const chats = [];
+    for (const chat of matching.slice(offset, offset + limit)) {
+        const contactInfo = await getContactInfo(account, chat.id);
+        const inbox = getChatInbox(account, chat.id);
+
+        chats.push({
+            id: chat.id,
+            name: contactInfo.name,
+            profilePic: contactInfo.profilePic,
+            lastMessage: chat.lastMessage,
+            timestamp: chat.timestamp || chat.conversationTimestamp,
+            unreadCount: chat.unreadCount || 0,
+            archived: !!chat.archived,
+            pinned: !!chat.pinned,
+            isGroup: chat.id.endsWith('@g.us'),
+            assignee: formatAssignee(inbox.assignee),
+            status: inbox.status,
+            labels: getChatLabels(account, chat.id)
+        });
+    }
+
+    return { chats, total: matching.length, hasMore: offset + chats.length < matching.length };
+}
+
+// Send the first page of the default chat list to everyone watching the account.
+// Clients showing a search, filter or more pages re-request their own view.
+async function emitChatsUpdate(account) {
+    const page = await getChatsPage(account);
+    emitToAccount(account.id, 'chats-update', { accountId: account.id, ...page });
+}
+
+// Ask the phone for messages older than `oldest` and wait until they arrive through
+// messaging-history.set. Resolves false if nothing came back in time.
+function requestOlderHistory(account, jid, oldest, count) {
+    return new Promise(resolve => {
+        const waiting = account.historyRequests.get(jid) || [];
+        const timer = setTimeout(() => {
+            const list = account.historyRequests.get(jid) || [];
+            const rest = list.filter(r => r !== done);
+            if (rest.length > 0) account.historyRequests.set(jid, rest);
+            else account.historyRequests.delete(jid);
+            resolve(false);
+        }, HISTORY_FETCH_TIMEOUT);
+        const done = (value) => {
+            clearTimeout(timer);
+            resolve(value);
+        };
+        waiting.push(done);
+        account.historyRequests.set(jid, waiting);
+
+        account.sock.fetchMessageHistory(count, oldest.key, oldest.messageTimestamp).catch(err => {
+            console.log(`[${account.name}] Erro ao buscar histórico de ${jid}:`, err.message);
+            done(false);
+        });
+    });
+}
+
+// One on-demand fetch per chat at a time. A fetch that brings nothing back
+// means the phone has no older messages for the chat (until it reconnects).
+function fetchOlderHistory(account, jid, oldest, count) {
+    let pending = account.historyFetches.get(jid);
+    if (!pending) {
+        pending = requestOlderHistory(account, jid, oldest, count).then(fetched => {
+            account.historyFetches.delete(jid);
+            if (!fetched) account.historyExhausted.add(jid);
+            return fetched;
+        });
+        account.historyFetches.set(jid, pending);
+    }
+    return pending;
+}
+
+// Get a page of messages (oldest first) ending before a cursor: a message id (`before`)
+// or a unix timestamp in seconds (`beforeTimestamp`). The stored messages come back
+// at once; when they run out, older ones are requested from the phone and `older`
+// resolves to the page before this one once they arrive.
+async function getMessagesPage(account, jid, { before, beforeTimestamp, around, limit = 50 } = {}) {
+    const all = account.store.getMessages(jid);
+    let end = all.length;
+    if (before) {
+        end = all.findIndex(m => m.key.id === before);
+        if (end < 0) return { messages: [], hasMore: false, hasNewer: false, older: null };
+    } else if (around) {
+        // Centered on a message, e.g. a search result
+        const index = all.findIndex(m => m.key.id === around);
+        if (index >= 0) end = Math.min(all.length, index + Math.ceil(limit / 2));
+    } else if (beforeTimestamp) {
+        end = all.findIndex(m => m.messageTimestamp >= Number(beforeTimestamp));
+        if (end < 0) end = all.length;
+    }
+    const start = Math.max(0, end - limit);
+    const messages = all.slice(start, end);
+
+    // Past the oldest stored message the phone may still have more
+    const canFetch = () => account.connectionState === 'connected' && !account.historyExhausted.has(jid);
+    // Imported history is unknown to the phone, so it can't anchor a fetch
+    const oldest = all.find(m => !m.imported);
+    let older = null;
+    if (end - start < limit && oldest && canFetch()) {
+        const cursor = messages[0]?.key.id || before;
+        older = fetchOlderHistory(account, jid, oldest, Math.min(limit, HISTORY_FETCH_MAX)).then(fetched => {
+            if (!fetched) return { messages: [], hasMore: false };
+            const updated = account.store.getMessages(jid);
+            const index = cursor ? updated.findIndex(m => m.key.id === cursor) : -1;
+            const olderEnd = index >= 0 ? index : updated.length;
+            const olderStart = Math.max(0, olderEnd - limit);
+            return { messages: updated.slice(olderStart, olderEnd), hasMore: olderStart > 0 || canFetch() };
+        });
+    }
+
+    return {
+        messages,
+        hasMore: start > 0 || !!older,
+        hasNewer: end < all.length,
+        older
+    };
+}
+
+// Push the messages of a pending history fetch to the client that asked for them
+function sendOlderMessages(socket, account, jid, older) {
+    if (!older) return;
+    older
+        .then(async page => {
+            socket.emit('older-messages', {
+                accountId: account.id,
+                jid,
+                messages: await Promise.all(page.messages.map(msg => formatMessage(account, msg))),
+                hasMore: page.hasMore,
+                fetching: false
+            });
+        })
+        .catch(err => console.error('Error sending fetched messages:', err));
+}
+
+// Check if a phone number has WhatsApp, adding DEFAULT_COUNTRY_CODE when missing
+async function checkWhatsAppNumber(account, phoneNumber) {
+    const number = toInternationalNumber(phoneNumber, DEFAULT_COUNTRY_CODE);
+    const [result] = await account.sock.onWhatsApp(number);
+    return { exists: !!result?.exists, jid: result?.exists ? result.jid : null, number };
+}
+
+// The same Brazilian mobile with or without the extra 9 after the area code
+// (5511987654321 <-> 551187654321), null for other numbers
+function brazilianMobileVariant(number) {
+    let match = number.match(/^(55\d{2})9(\d{8})$/);
+    if (match) return match[1] + match[2];
+    match = number.match(/^(55\d{2})([6-9]\d{7})$/);
+    return match ? `${match[1]}9${match[2]}` : null;
+}
+
+// Check many numbers, CONTACTS_CHECK_BATCH per query. WhatsApp may answer
+// with a different number than asked (Brazilian mobiles without the extra 9),
+// so answers are matched to the asked number through that variant. Only when
+// some answer still matches nothing are the Brazilian mobiles left over
+// checked one by one, CONTACTS_CHECK_DELAY apart.
+async function checkWhatsAppNumbers(account, numbers) {
+    const asked = new Set(numbers);
+    const jids = new Map(); // number -> jid, for the ones on WhatsApp
+    let unmatched = 0;
+    const results = await account.sock.onWhatsApp(...numbers);
+    for (const result of results || []) {
+        if (!result.exists) continue;
+        const answered = getPhoneFromJid(result.jid);
+        const number = asked.has(answered) ? answered : brazilianMobileVariant(answered);
+        if (number && asked.has(number)) jids.set(number, result.jid);
+        else unmatched++;
+    }
+
+    const retry = numbers.filter(number => !jids.has(number) && brazilianMobileVariant(number));
+    for (const number of retry) {
+        if (unmatched === 0) break;
+        await new Promise(resolve => setTimeout(resolve, CONTACTS_CHECK_DELAY));
+        const result = await checkWhatsAppNumber(account, '+' + number);
+        if (result.exists) {
+            jids.set(number, result.jid);
+            unmatched--;
+        }
+    }
+    return jids;
+}
+
+// Contacts of the account (people, not groups), sorted by name. `query`
+// matches the name or the number.
+function listContacts(account, { query, offset = 0, limit = CONTACTS_PAGE_SIZE } = {}) {
+    const term = String(query || '').trim().toLowerCase();
+    const digits = term.replace(/\D/g, '');
+    const list = [];
+    for (const [jid, contact] of account.store.contacts) {
+        if (!jid.endsWith('@s.whatsapp.net') || normalizeJid(jid) !== jid) continue;
+        const number = getPhoneFromJid(jid);
+        const name = lookupContactName(account, jid) || '';
+        if (term && !name.toLowerCase().includes(term) && !(digits && number.includes(digits))) continue;
+        list.push({
+            jid,
+            number,
+            name,
+            localName: contact.localName || '',
+            whatsappName: contact.name || contact.notify || contact.verifiedName || '',
+            hasChat: !!account.store.getChat(jid)
+        });
+    }
+    list.sort((a, b) => (a.name || a.number).localeCompare(b.name || b.number, 'pt-BR'));
+    return { contacts: list.slice(offset, offset + limit), total: list.length };
+}
+
+// The name given to a contact in the app; an empty name goes back to the
+// one from WhatsApp
+function setContactLocalName(account, jid, name) {
+    const existing = account.store.getContact(jid) || {};
+    account.store.setContact(jid, { ...existing, localName: String(name || '').trim().slice(0, 100) || null });
+    account.contactNames.clear();
+}
+
+// Add the numbers of an address book that are on WhatsApp to the contacts,
+// reporting progress to the account's operators
+async function importAddressBook(account, entries) {
+    const progress = { accountId: account.id, total: entries.length, checked: 0, imported: 0, notFound: [], done: false, error: null };
+    contactImports.set(account.id, progress);
+    try {
+        for (let i = 0; i < entries.length; i += CONTACTS_CHECK_BATCH) {
+            if (account.connectionState !== 'connected') {
+                throw new Error('Conta desconectada durante a importação');
+            }
+            const batch = entries.slice(i, i + CONTACTS_CHECK_BATCH);
+            const jids = await checkWhatsAppNumbers(account, batch.map(entry => entry.number));
+            for (const entry of batch) {
+                const jid = jids.get(entry.number);
+                if (!jid) {
+                    progress.notFound.push(entry.number);
+                } else if (entry.name) {
+                    setContactLocalName(account, jid, entry.name);
+                    progress.imported++;
+                } else {
+                    if (!account.store.getContact(jid)) account.store.setContact(jid, { name: null });
+                    progress.imported++;
+                }
+            }
+            progress.checked += batch.length;
+            emitToAccount(account.id, 'contacts-import-progress', progress);
+            if (progress.checked < entries.length) {
+                await new Promise(resolve => setTimeout(resolve, CONTACTS_CHECK_DELAY));
+            }
+        }
+    } catch (err) {
+        progress.error = err.message;
+    }
+    progress.done = true;
+    contactImports.delete(account.id);
+    emitToAccount(account.id, 'contacts-import-progress', progress);
+    await emitChatsUpdate(account);
+}
+
+// Send a text or media message and record it. Media is a Buffer or base64 string.
+async function sendChatMessage(account, jid, { text, type, media, fileName, mimetype, mentions, quotedId }) {
+    const sock = account.sock;
+    // Reply to a stored message
+    const quoted = quotedId ? account.store.getMessage(jid, quotedId) : null;
+    const sendOptions = quoted ? { quoted } : undefined;
+    // Mentioned jids; the text refers to them as @<number>
+    const mentionOptions = Array.isArray(mentions) && mentions.length > 0 ? { mentions } : {};
+    const buffer = media ? (Buffer.isBuffer(media) ? media : Buffer.from(media, 'base64')) : null;
+    // The file actually sent (after conversion), kept in the media cache
+    let sentBuffer = buffer;
+    let sent;
+
+    if (type === 'text' || !type) {
+        sent = await sock.sendMessage(jid, { text, ...mentionOptions }, sendOptions);
+    } else if (type === 'image' && buffer) {
+        sent = await sock.sendMessage(jid, {
+            image: buffer,
+            mimetype: mimetype || 'image/jpeg',
+            caption: text || '',
+            ...mentionOptions
+        }, sendOptions);
+    } else if (type === 'audio' && buffer) {
+        const { buffer: convertedBuffer, seconds } = await convertAudioToOgg(buffer, mimetype || 'audio/webm');
+        console.log(`Audio duration: ${seconds}s`);
+        sentBuffer = convertedBuffer;
+        sent = await sock.sendMessage(jid, {
+            audio: convertedBuffer,
+            mimetype: 'audio/ogg; codecs=opus',
+            ptt: true,
+            seconds: seconds
+        }, sendOptions);
+    } else if (type === 'document' && buffer) {
+        sent = await sock.sendMessage(jid, {
+            document: buffer,
+            mimetype: mimetype || 'application/octet-stream',
+            fileName: fileName || 'documento'
+        }, sendOptions);
+    } else if (type === 'video' && buffer) {
+        sent = await sock.sendMessage(jid, {
+            video: buffer,
+            mimetype: mimetype || 'video/mp4',
+            caption: text || '',
+            ...mentionOptions
+        }, sendOptions);
+    } else if (type === 'sticker' && buffer) {
+        sentBuffer = await convertImageToSticker(buffer, mimetype);
+        sent = await sock.sendMessage(jid, { sticker: sentBuffer }, sendOptions);
+    }
+
+    if (sent) {
+        if (sentBuffer) {
+            mediaCache.link(account.id, sent.key.id, mediaCache.put(sentBuffer));
+        }
+        storeMessage(account, sent);
+        await updateChatInList(account, jid, sent);
+    }
+    return sent;
+}
+
+// Send a message queued by the scheduler and show it in open chats
+async function sendScheduledMessage(item) {
+    const account = accounts.get(item.accountId);
+    const media = item.mediaHash ? fs.readFileSync(mediaCache.filePath(item.mediaHash)) : null;
+    const sent = await sendChatMessage(account, item.jid, {
+        text: item.text,
+        type: item.type,
+        media,
+        fileName: item.fileName,
+        mimetype: item.mimetype,
+        mentions: item.mentions
+    });
+    if (sent) {
+        emitToAccount(account.id, 'new-message', {
+            accountId: account.id,
+            jid: item.jid,
+            message: await formatMessage(account, sent)
+        });
+    }
+    return sent;
+}
+
+// Send one recipient's copy of a broadcast
+async function sendBroadcastMessage(job, jid, text) {
+    const account = accounts.get(job.accountId);
+    const media = job.media ? fs.readFileSync(mediaCache.filePath(job.media.hash)) : null;
+    return sendChatMessage(account, jid, {
+        text,
+        type: job.media?.type || 'text',
+        media,
+        fileName: job.media?.fileName,
+        mimetype: job.media?.mimetype
+    });
+}
+
+// Send a message of the bot or an auto-reply and show it in open chats
+async function sendAutomaticMessage(accountId, jid, content) {
+    const account = accounts.get(accountId);
+    if (account?.connectionState !== 'connected') {
+        throw new Error('Conta não conectada');
+    }
+    const sent = await sendChatMessage(account, jid, content);
+    if (sent) {
+        emitToAccount(account.id, 'new-message', {
+            accountId: account.id,
+            jid,
+            message: await formatMessage(account, sent)
+        });
+    }
+    return sent;
+}
+
+function sendAutoReply(rule, jid, text) {
+    const media = rule.media ? fs.readFileSync(mediaCache.filePath(rule.media.hash)) : null;
+    return sendAutomaticMessage(rule.accountId, jid, {
+        text,
+        type: rule.media?.type || 'text',
+        media,
+        fileName: rule.media?.fileName,
+        mimetype: rule.media?.mimetype
+    });
+}
+
+// Let the bot, or else the auto-reply rules, answer a new message from a
+// contact (never a group). Nothing answers in a chat where the bot is paused.
+function runAutomations(account, jid, msg, name) {
+    if (!jid.endsWith('@s.whatsapp.net') && !jid.endsWith('@lid')) return;
+    if (flows.isPaused(account.id, jid)) return;
+    const context = {
+        text: getMessageText(msg),
+        isFirstMessage: account.store.getMessages(jid).every(m => m.key.id === msg.key.id),
+        contact: { name, phone: getPhoneFromJid(jid) }
+    };
+    flows.handleMessage(account.id, jid, context)
+        .then(handled => handled || autoReplies.handleMessage(account.id, jid, context))
+        .catch(err => console.error(`[${account.name}] Erro na resposta automática:`, err));
+}
+
+// The bot passes the chat to the team, with what the contact answered as a note
+async function handOverChat(accountId, jid, { flow, vars }) {
+    const account = accounts.get(accountId);
+    if (!account) return;
+    const answers = Object.entries(vars)
+        .filter(([key, value]) => value && key !== 'primeiro_nome' && key !== 'telefone')
+        .map(([key, value]) => `${key}: ${value}`);
+    addChatNote(account, jid, [`Fluxo "${flow.name}" encaminhou a conversa.`, ...answers].join('\n'), null);
+    account.store.updateInbox(jid, { status: 'open' });
+    await emitInboxUpdate(account, jid);
+}
+
+function emitFlowsUpdate(accountId) {
+    emitToAccount(accountId, 'flows-update', {
+        accountId,
+        flows: flows.list(accountId).map(flow => flows.toSummary(flow))
+    });
+}
+
+function emitAutoRepliesUpdate(accountId) {
+    emitToAccount(accountId, 'auto-replies-update', {
+        accountId,
+        rules: autoReplies.list(accountId),
+        hours: autoReplies.getHours(accountId)
+    });
+}
+
+function emitScheduledUpdate(accountId, jid) {
+    emitToAccount(accountId, 'scheduled-update', { accountId, jid, items: scheduler.list(accountId, jid) });
+}
+
+// Attachment of a quick reply usable from an account, as kept in the media cache
+function getQuickReplyMedia(accountId, quickReplyId) {
+    const reply = quickReplyId ? quickReplies.get(quickReplyId) : null;
+    return quickReplies.canUse(reply, accountId) ? reply.media : null;
+}
+
+// Shared replies change the list of every account
+function emitQuickRepliesUpdate(accountId) {
+    const ids = accountId ? [accountId] : Array.from(accounts.keys());
+    for (const id of ids) {
+        emitToAccount(id, 'quick-replies-update', { accountId: id, replies: quickReplies.list(id) });
+    }
+}
+
+// IANA time zone name sent by a browser, or the server's own when missing
+function resolveTimeZone(tz) {
+    try {
+        return new Intl.DateTimeFormat('pt-BR', { timeZone: tz || undefined }).resolvedOptions().timeZone;
+    } catch {
+        return null;
+    }
+}
+
+// Unix seconds of an export boundary, given as an ISO date or milliseconds.
+// A bare date as end of the period includes the whole day.
+function parseExportDate(value, endOfDay = false) {
+    if (!value) return null;
+    const time = /^\d+$/.test(value) ? Number(value) : Date.parse(value);
+    if (Number.isNaN(time)) return null;
+    const seconds = Math.floor(time / 1000);
+    return endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value) ? seconds + 86399 : seconds;
+}
+
+// Chats to export with their messages in the period and the media files
+async function getExportChats(account, { jid, from, to }) {
+    const inRange = (msg) => !isMessageChange(msg) &&
+        (from === null || msg.messageTimestamp >= from) &&
+        (to === null || msg.messageTimestamp <= to);
+    const jids = jid ? [jid] : Array.from(account.store.messages.keys());
+
+    const chats = [];
+    for (const chatJid of jids) {
+        const messages = account.store.getMessages(chatJid).filter(inRange);
+        if (messages.length === 0) continue;
+
+        const entries = [];
+        for (const msg of messages) {
+            const message = await formatMessage(account, msg);
+            let file = null;
+            let missing = false;
+            if (message.mediaUrl) {
+                try {
+                    file = await mediaCache.getFile(account, msg);
+                } catch (err) {
+                    console.log(`[${account.name}] Mídia ${msg.key.id} fora da exportação:`, err.message);
+                    missing = true;
+                }
+            }
+            entries.push({ message, file, missing });
+        }
+
+        const contactInfo = await getContactInfo(account, chatJid);
+        chats.push({
+            jid: chatJid,
+            name: contactInfo.name,
+            ownName: account.sock?.user?.name || account.name,
+            isGroup: chatJid.endsWith('@g.us'),
+            entries
+        });
+    }
+    return chats;
+}
+
+// Answer a request with a zip export of one chat, or of every chat in the period
+async function sendChatExport(res, account, { jid, from, to, tz }) {
+    const range = { from: parseExportDate(from), to: parseExportDate(to, true) };
+    const timeZone = resolveTimeZone(tz);
+    if (!timeZone) {
+        return res.status(400).json({ error: 'Fuso horário inválido' });
+    }
+
+    const chats = await getExportChats(account, { jid, ...range });
+    if (chats.length === 0) {
+        return res.status(404).json({ error: 'Nenhuma mensagem no período' });
+    }
+
+    const day = new Date().toISOString().slice(0, 10);
+    res.attachment(`${jid ? chats[0].name : account.name} ${day}.zip`.replace(/[\\/:*?"<>|]/g, '_'));
+    await writeChatExport(res, {
+        chats,
+        timeZone,
+        range: {
+            from: range.from === null ? null : new Date(range.from * 1000).toISOString(),
+            to: range.to === null ? null : new Date(range.to * 1000).toISOString()
+        }
+    });
+}
+
+// Forward a stored message to another chat
+async function forwardMessage(account, msg, jid) {
+    const sent = await account.sock.sendMessage(jid, { forward: msg });
+    if (sent) {
+        storeMessage(account, sent);
+        await updateChatInList(account, jid, sent);
+    }
+    return sent;
+}
+
+// Get list of accounts, optionally only the ones a user can see
+function getAccountsList(user) {
+    return Array.from(accounts.values())
+        .filter(acc => !user || auth.canAccessAccount(user, acc.id))
+        .map(acc => acc.toJSON());
+}
+
+// ========== ACCESS CONTROL ==========
+
+const ADMIN_ROOM = 'admins';
+
+function accountRoom(accountId) {
+    return `account:${accountId}`;
+}
+
+// Send an event only to sockets allowed to see the account
+function emitToAccount(accountId, event, data) {
+    io.to(accountRoom(accountId)).to(ADMIN_ROOM).emit(event, data);
+}
+
+// Each socket gets its own filtered accounts list
+function emitAccountsUpdate() {
+    for (const socket of io.sockets.sockets.values()) {
+        socket.emit('accounts-update', getAccountsList(socket.data.user));
+    }
+}
+
+// Put a socket in the rooms matching its user's role and assigned accounts
+function joinAccountRooms(socket) {
+    for (const room of socket.rooms) {
+        if (room === ADMIN_ROOM || room.startsWith('account:')) {
+            socket.leave(room);
+        }
+    }
+
+    const user = socket.data.user;
+    if (auth.isAdmin(user)) {
+        socket.join(ADMIN_ROOM);
+    } else {
+        for (const accountId of user.accounts) {
+            socket.join(accountRoom(accountId));
+        }
+    }
+}
+
+// Re-apply rooms after a user's role or accounts changed
+function refreshUserSockets(userId) {
+    for (const socket of io.sockets.sockets.values()) {
+        if (socket.data.user.id === userId) {
+            joinAccountRooms(socket);
+            socket.emit('session-update', auth.toPublic(socket.data.user));
+            socket.emit('accounts-update', getAccountsList(socket.data.user));
+        }
+    }
+}
+
+// Look up an account the socket's user is allowed to use
+function getAllowedAccount(socket, accountId) {
+    if (!auth.canAccessAccount(socket.data.user, accountId)) return undefined;
+    return accounts.get(accountId);
+}
+
+// Reject admin-only actions from operators
+function requireAdmin(socket) {
+    if (auth.isAdmin(socket.data.user)) return true;
+    socket.emit('error', { message: 'Permissão negada' });
+    return false;
+}
+
+function getUsersList() {
+    return auth.listUsers().map(user => auth.toPublic(user));
+}
+
+// ========== SOCKET.IO HANDLERS ==========
+
+// Only logged-in users can open a socket
+io.use(auth.socketMiddleware());
+
+io.on('connection', (socket) => {
+    console.log(`Cliente conectado: ${socket.id} (${socket.data.user.username})`);
+
+    joinAccountRooms(socket);
+
+    // Send current user and accounts list
+    socket.emit('session-update', auth.toPublic(socket.data.user));
+    socket.emit('accounts-update', getAccountsList(socket.data.user));
+
+    // Create new account
+    socket.on('create-account', ({ name }) => {
+        if (!requireAdmin(socket)) return;
+        const id = generateAccountId();
+        const account = new Account(id, name);
+        accounts.set(id, account);
+        saveAccountsToFile();
+
+        socket.emit('account-created', { accountId: id, name });
+        emitAccountsUpdate();
+
+        console.log(`Nova conta criada: ${name} (${id})`);
+    });
+
+    // Connect account (start WhatsApp connection)
+    socket.on('connect-account', async ({ accountId }) => {
+        const account = getAllowedAccount(socket, accountId);
+        if (!account) {
+            socket.emit('error', { message: 'Conta não encontrada' });
+            return;
+        }
+
+        if (account.connectionState === 'connected') {
+            socket.emit('account-status', { accountId, status: 'connected', message: 'Já conectado!' });
+            getChatsPage(account).then(page => {
+                socket.emit('chats-update', { accountId, ...page });
+            });
+            return;
+        }
+
+        if (account.connectionState === 'disconnected') {
+            account.reconnectAttempts = 0;
+            connectAccount(account);
+        }
+    });
+
+    // Get account status and chats
+    socket.on('get-account-state', async ({ accountId }) => {
+        const account = getAllowedAccount(socket, accountId);
+        if (!account) {
+            socket.emit('error', { message: 'Conta não encontrada' });
+            return;
+        }
+
+        socket.emit('account-status', {
+            accountId,
+            status: account.connectionState,
+            message: account.connectionState === 'connected' ? 'Conectado!' :
+                     account.connectionState === 'qr' ? 'Escaneie o QR Code' :
+                     account.connectionState === 'connecting' ? 'Conectando...' : 'Desconectado'
+        });
+
+        if (account.qrCodeData) {
+            socket.emit('account-qr', { accountId, qr: account.qrCodeData });
+        }
+
+        if (account.connectionState === 'connected') {
+            getChatsPage(account).then(page => {
+                socket.emit('chats-update', { accountId, ...page });
+            });
+        }
+    });
+
+    // Page through the chat list, optionally searching and filtering
+    socket.on('get-chats', async ({ accountId, offset, limit, search, filter, label }) => {
+        const account = getAllowedAccount(socket, accountId);
+        if (!account) return;
+
+        try {
+            const options = {
+                offset: Math.max(0, parseInt(offset) || 0),
+                limit: Math.min(parseInt(limit) || 50, 200),
+                search,
+                filter: CHAT_FILTERS.includes(filter) ? filter : 'all'
+            };
+            const page = await getChatsPage(account, { ...options, label, userId: socket.data.user.id });
+            socket.emit('chats-page', { accountId, ...options, label: label || null, ...page });
+        } catch (err) {
+            console.error('Error getting chats:', err);
+            socket.emit('error', { message: 'Erro ao carregar conversas' });
+        }
+    });
+
+    // Rename account
+    socket.on('rename-account', ({ accountId, name }) => {
+        if (!requireAdmin(socket)) return;
+        const account = getAllowedAccount(socket, accountId);
         if (account) {
             account.name = name;
             saveAccountsToFile();
-            io.emit('accounts-update', getAccountsList());
+            emitAccountsUpdate();
         }
     });
 
     // Delete account
     socket.on('delete-account', async ({ accountId }) => {
-        const account = accounts.get(accountId);
+        if (!requireAdmin(socket)) return;
+        const account = getAllowedAccount(socket, accountId);
         if (account) {
+            cancelReconnect(account);
             // Logout if connected
             if (account.sock) {
                 try { await account.sock.logout(); } catch {}
                 account.sock = null;
             }
-            // Delete auth folder
+            // Delete auth folder and stored data
             if (fs.existsSync(account.authFolder)) {
                 fs.rmSync(account.authFolder, { recursive: true, force: true });
             }
+            account.store.destroy();
+            searchIndex.removeAccount(accountId);
             accounts.delete(accountId);
+            auth.removeAccountFromUsers(accountId);
+            apiKeys.removeAccount(accountId);
+            webhooks.removeAccount(accountId);
+            push.removeAccount(accountId);
+            scheduler.removeAccount(accountId);
+            quickReplies.removeAccount(accountId);
+            broadcasts.removeAccount(accountId);
+            autoReplies.removeAccount(accountId);
+            flows.removeAccount(accountId);
             saveAccountsToFile();
-            io.emit('accounts-update', getAccountsList());
+            emitAccountsUpdate();
             console.log(`Conta deletada: ${account.name}`);
         }
     });
 
     // Logout account (but keep it in the list)
     socket.on('logout-account', async ({ accountId }) => {
-        const account = accounts.get(accountId);
+        if (!requireAdmin(socket)) return;
+        const account = getAllowedAccount(socket, accountId);
         if (account && account.sock) {
+            cancelReconnect(account);
             try { await account.sock.logout(); } catch {}
             account.sock = null;
             account.connectionState = 'disconnected';
-            account.chats.clear();
-            account.messages.clear();
-            account.contacts.clear();
-            account.profilePics.clear();
+            account.store.clear();
+            searchIndex.removeAccount(account.id);
             account.phoneNumber = null;
 
             if (fs.existsSync(account.authFolder)) {
@@ -755,28 +2181,23 @@ io.on('connection', (socket) => {
             }
 
             saveAccountsToFile();
-            io.emit('accounts-update', getAccountsList());
-            io.emit('account-status', { accountId, status: 'disconnected', message: 'Desconectado' });
+            emitAccountsUpdate();
+            emitToAccount(accountId, 'account-status', { accountId, status: 'disconnected', message: 'Desconectado' });
         }
     });
 
     // Start new chat
     socket.on('start-new-chat', async ({ accountId, phoneNumber }) => {
-        const account = accounts.get(accountId);
+        const account = getAllowedAccount(socket, accountId);
         if (!account || account.connectionState !== 'connected') {
             socket.emit('error', { message: 'Conta não conectada' });
             return;
         }
 
         try {
-            let number = phoneNumber.replace(/\D/g, '');
-            if (!number.startsWith('55') && number.length <= 11) {
-                number = '55' + number;
-            }
+            const result = await checkWhatsAppNumber(account, phoneNumber);
 
-            const [result] = await account.sock.onWhatsApp(number);
-
-            if (result?.exists) {
+            if (result.exists) {
                 const jid = result.jid;
                 const contactInfo = await getContactInfo(account, jid);
 
@@ -796,58 +2217,37 @@ io.on('connection', (socket) => {
     });
 
     // Send message
-    socket.on('send-message', async ({ accountId, jid, text, type, media, fileName, mimetype }) => {
-        const account = accounts.get(accountId);
+    socket.on('send-message', async ({ accountId, jid, text, type, media, fileName, mimetype, mentions, quotedId, quickReplyId }) => {
+        const account = getAllowedAccount(socket, accountId);
         if (!account || account.connectionState !== 'connected') {
             socket.emit('error', { message: 'Conta não conectada' });
             return;
         }
 
         try {
-            let sent;
-            const sock = account.sock;
-
-            if (type === 'text' || !type) {
-                sent = await sock.sendMessage(jid, { text });
-            } else if (type === 'image' && media) {
-                const buffer = Buffer.from(media, 'base64');
-                sent = await sock.sendMessage(jid, {
-                    image: buffer,
-                    mimetype: mimetype || 'image/jpeg',
-                    caption: text || ''
-                });
-            } else if (type === 'audio' && media) {
-                const buffer = Buffer.from(media, 'base64');
-                const { buffer: convertedBuffer, seconds } = await convertAudioToOgg(buffer, mimetype || 'audio/webm');
-                console.log(`Audio duration: ${seconds}s`);
-                sent = await sock.sendMessage(jid, {
-                    audio: convertedBuffer,
-                    mimetype: 'audio/ogg; codecs=opus',
-                    ptt: true,
-                    seconds: seconds
-                });
-            } else if (type === 'document' && media) {
-                const buffer = Buffer.from(media, 'base64');
-                sent = await sock.sendMessage(jid, {
-                    document: buffer,
-                    mimetype: mimetype || 'application/octet-stream',
-                    fileName: fileName || 'documento'
-                });
+            const replyMedia = !media && getQuickReplyMedia(accountId, quickReplyId);
+            if (replyMedia) {
+                ({ type, fileName, mimetype } = replyMedia);
+                media = fs.readFileSync(mediaCache.filePath(replyMedia.hash));
             }
+            const sent = await sendChatMessage(account, jid, { text, type, media, fileName, mimetype, mentions, quotedId });
 
             if (sent) {
-                if (!account.messages.has(jid)) {
-                    account.messages.set(jid, []);
-                }
-                account.messages.get(jid).push(sent);
-
                 socket.emit('message-sent', {
                     accountId,
                     jid,
                     message: await formatMessage(account, sent)
                 });
 
-                await updateChatInList(account, jid, sent);
+                // An operator writing in the middle of a bot conversation takes over
+                if (flows.getSession(accountId, jid)) {
+                    flows.pause(accountId, jid, socket.data.user.id);
+                }
+                // Whoever answers an unassigned chat takes it
+                if (!getChatInbox(account, jid).assignee) {
+                    account.store.updateInbox(jid, { assignee: socket.data.user.id });
+                    await emitInboxUpdate(account, jid);
+                }
             }
         } catch (err) {
             console.error('Error sending message:', err);
@@ -855,20 +2255,583 @@ io.on('connection', (socket) => {
         }
     });
 
-    // Get messages for a chat
-    socket.on('get-messages', async ({ accountId, jid }) => {
-        const account = accounts.get(accountId);
-        if (!account || account.connectionState !== 'connected') {
-            socket.emit('error', { message: 'Conta não conectada' });
+    // ---- Team inbox: assignee, status and internal notes of a chat ----
+
+    socket.on('get-chat-inbox', ({ accountId, jid }) => {
+        const account = getAllowedAccount(socket, accountId);
+        if (!account) return;
+        socket.emit('chat-inbox', formatChatInbox(account, jid));
+    });
+
+    // userId null leaves the chat unassigned
+    socket.on('assign-chat', async ({ accountId, jid, userId }) => {
+        const account = getAllowedAccount(socket, accountId);
+        if (!account || !jid) return;
+
+        const user = userId ? auth.getUser(userId) : null;
+        if (userId && (!user || !auth.canAccessAccount(user, accountId))) {
+            socket.emit('error', { message: 'Usuário sem acesso a esta conta' });
             return;
         }
+        account.store.updateInbox(jid, { assignee: user ? user.id : null });
+        await emitInboxUpdate(account, jid);
+    });
+
+    socket.on('set-chat-status', async ({ accountId, jid, status }) => {
+        const account = getAllowedAccount(socket, accountId);
+        if (!account || !jid) return;
+        if (!INBOX_STATUSES.includes(status)) {
+            socket.emit('error', { message: 'Status inválido' });
+            return;
+        }
+        account.store.updateInbox(jid, { status });
+        // The bot greets the contact again in their next conversation
+        if (status === 'resolved') flows.resume(accountId, jid);
+        await emitInboxUpdate(account, jid);
+    });
+
+    // Pause the bot in a chat while an operator talks, or let it answer again
+    socket.on('set-chat-bot', ({ accountId, jid, paused }) => {
+        const account = getAllowedAccount(socket, accountId);
+        if (!account || !jid) return;
+        if (paused) {
+            flows.pause(accountId, jid, socket.data.user.id);
+        } else {
+            flows.resume(accountId, jid);
+        }
+    });
+
+    // Internal notes are only stored here, never sent to WhatsApp
+    socket.on('add-chat-note', async ({ accountId, jid, text }) => {
+        const account = getAllowedAccount(socket, accountId);
+        if (!account || !jid) return;
+        text = String(text || '').trim();
+        if (!text || text.length > 2000) {
+            socket.emit('error', { message: 'A nota deve ter de 1 a 2000 caracteres' });
+            return;
+        }
+
+        addChatNote(account, jid, text, socket.data.user.id);
+        await emitInboxUpdate(account, jid);
+    });
 
+    socket.on('delete-chat-note', async ({ accountId, jid, noteId }) => {
+        const account = getAllowedAccount(socket, accountId);
+        if (!account || !jid) return;
+        const notes = getChatInbox(account, jid).notes;
+        const note = notes.find(n => n.id === noteId);
+        if (!note) return;
+        if (note.authorId !== socket.data.user.id && !requireAdmin(socket)) return;
+
+        account.store.updateInbox(jid, { notes: notes.filter(n => n !== note) });
+        await emitInboxUpdate(account, jid);
+    });
+
+    // ---- Auto-replies ----
+
+    socket.on('get-auto-replies', ({ accountId }) => {
+        if (!getAllowedAccount(socket, accountId)) return;
+        socket.emit('auto-replies-update', {
+            accountId,
+            rules: autoReplies.list(accountId),
+            hours: autoReplies.getHours(accountId)
+        });
+    });
+
+    socket.on('save-auto-reply', ({ id, accountId, name, trigger, pattern, text, cooldown, enabled, type, media, fileName, mimetype, removeMedia }) => {
+        if (!getAllowedAccount(socket, accountId)) return;
+        // A badly written regex can hold up the server, so only admins write them
+        const current = id ? autoReplies.get(id) : null;
+        if ((trigger === 'regex' || current?.trigger === 'regex') && !requireAdmin(socket)) return;
         try {
-            const storedMsgs = account.messages.get(jid) || [];
+            let attachment;
+            if (media) {
+                attachment = { hash: mediaCache.put(Buffer.from(media, 'base64')), type, fileName, mimetype };
+            } else if (removeMedia) {
+                attachment = null;
+            }
+            autoReplies.saveRule({
+                id, accountId, name, trigger, pattern, text, cooldown, enabled,
+                media: attachment,
+                createdBy: socket.data.user.id
+            });
+            emitAutoRepliesUpdate(accountId);
+        } catch (err) {
+            socket.emit('error', { message: err.message });
+        }
+    });
+
+    socket.on('delete-auto-reply', ({ id }) => {
+        const rule = autoReplies.get(id);
+        if (!rule || !getAllowedAccount(socket, rule.accountId)) return;
+        autoReplies.remove(id);
+        emitAutoRepliesUpdate(rule.accountId);
+    });
+
+    // hours: { timeZone, days: [{ start, end } | null] from Sunday }, or null
+    socket.on('save-business-hours', ({ accountId, hours }) => {
+        if (!getAllowedAccount(socket, accountId)) return;
+        try {
+            autoReplies.setHours(accountId, hours);
+            emitAutoRepliesUpdate(accountId);
+        } catch (err) {
+            socket.emit('error', { message: err.message });
+        }
+    });
+
+    socket.on('get-auto-reply-log', ({ accountId }) => {
+        if (!getAllowedAccount(socket, accountId)) return;
+        socket.emit('auto-reply-log', { accountId, entries: autoReplies.getLog(accountId).slice(0, 100) });
+    });
+
+    // ---- Contacts ----
+
+    socket.on('get-contacts', ({ accountId, query, offset = 0 }) => {
+        const account = getAllowedAccount(socket, accountId);
+        if (!account) return;
+        const page = listContacts(account, { query, offset });
+        socket.emit('contacts-page', {
+            accountId,
+            query: query || '',
+            offset,
+            ...page,
+            hasMore: offset + page.contacts.length < page.total,
+            importing: contactImports.get(accountId) || null
+        });
+    });
+
+    // Name a contact in the app: an existing one by jid, or a new one by number
+    socket.on('save-contact', async ({ accountId, jid, phoneNumber, name }) => {
+        const account = getAllowedAccount(socket, accountId);
+        if (!account) return;
+
+        try {
+            if (!jid) {
+                if (account.connectionState !== 'connected') {
+                    socket.emit('error', { message: 'Conta não conectada' });
+                    return;
+                }
+                const result = await checkWhatsAppNumber(account, phoneNumber);
+                if (!result.exists) {
+                    socket.emit('error', { message: 'Número não encontrado no WhatsApp' });
+                    return;
+                }
+                jid = result.jid;
+            } else if (!jid.endsWith('@s.whatsapp.net')) {
+                socket.emit('error', { message: 'Contato inválido' });
+                return;
+            }
+
+            setContactLocalName(account, jid, name);
+            emitToAccount(accountId, 'contact-saved', { accountId, jid, name: lookupContactName(account, jid) });
+            await emitChatsUpdate(account);
+        } catch (err) {
+            console.error('Error saving contact:', err);
+            socket.emit('error', { message: 'Erro ao salvar contato' });
+        }
+    });
+
+    // ---- Bot flows ----
+
+    socket.on('get-flows', ({ accountId }) => {
+        if (!getAllowedAccount(socket, accountId)) return;
+        socket.emit('flows-update', {
+            accountId,
+            flows: flows.list(accountId).map(flow => flows.toSummary(flow))
+        });
+    });
+
+    // states is the JSON definition, see server/flows.js
+    socket.on('save-flow', ({ id, accountId, name, trigger, pattern, start, states, timeout, cooldown, enabled }) => {
+        if (!getAllowedAccount(socket, accountId)) return;
+        try {
+            flows.saveFlow({ id, accountId, name, trigger, pattern, start, states, timeout, cooldown, enabled, createdBy: socket.data.user.id });
+            emitFlowsUpdate(accountId);
+        } catch (err) {
+            socket.emit('error', { message: err.message });
+        }
+    });
+
+    socket.on('delete-flow', ({ id }) => {
+        const flow = flows.get(id);
+        if (!flow || !getAllowedAccount(socket, flow.accountId)) return;
+        flows.remove(id);
+        emitFlowsUpdate(flow.accountId);
+    });
+
+    // ---- Labels and CRM fields ----
+
+    socket.on('get-labels', ({ accountId }) => {
+        const account = getAllowedAccount(socket, accountId);
+        if (account) socket.emit('labels-update', formatLabels(account));
+    });
+
+    socket.on('save-label', async ({ accountId, id, name, color }) => {
+        const account = getAllowedAccount(socket, accountId);
+        if (!account) return;
+
+        name = String(name || '').trim();
+        const existing = id ? account.store.getLabel(id) : null;
+        let error = null;
+        if (id && !existing) {
+            error = 'Etiqueta não encontrada';
+        } else if (existing?.waLabelId) {
+            error = 'Etiquetas do WhatsApp Business são editadas no celular';
+        } else if (!name || name.length > 40) {
+            error = 'O nome deve ter de 1 a 40 caracteres';
+        } else if (!/^#[0-9a-f]{6}$/i.test(color || '')) {
+            error = 'Cor inválida';
+        } else if (account.store.getLabels().some(l => l.id !== id && l.name.toLowerCase() === name.toLowerCase())) {
+            error = `A etiqueta "${name}" já existe`;
+        }
+        if (error) {
+            socket.emit('error', { message: error });
+            return;
+        }
+
+        account.store.setLabel({
+            id: id || 'lbl_' + Date.now().toString(36) + Math.random().toString(36).slice(2, 7),
+            name,
+            color: color.toLowerCase(),
+            waLabelId: null
+        });
+        emitLabelsUpdate(account);
+        await emitChatsUpdate(account);
+    });
+
+    socket.on('delete-label', async ({ accountId, id }) => {
+        const account = getAllowedAccount(socket, accountId);
+        const label = account?.store.getLabel(id);
+        if (!label) return;
+        if (label.waLabelId) {
+            socket.emit('error', { message: 'Etiquetas do WhatsApp Business são removidas no celular' });
+            return;
+        }
+        account.store.removeLabel(id);
+        emitLabelsUpdate(account);
+        await emitChatsUpdate(account);
+    });
+
+    socket.on('get-contact-crm', ({ accountId, jid }) => {
+        const account = getAllowedAccount(socket, accountId);
+        if (account && jid) socket.emit('contact-crm', formatContactCrm(account, jid));
+    });
+
+    socket.on('set-chat-labels', async ({ accountId, jid, labelIds }) => {
+        const account = getAllowedAccount(socket, accountId);
+        if (!account || !jid || !Array.isArray(labelIds)) return;
+        try {
+            await setChatLabels(account, jid, labelIds);
+        } catch (err) {
+            console.error('Erro ao alterar etiquetas:', err);
+            socket.emit('error', { message: 'Erro ao alterar etiquetas no WhatsApp' });
+        }
+    });
+
+    // email, company, notes and free-form `custom` fields ({ "Cidade": "Recife" })
+    socket.on('save-contact-crm', ({ accountId, jid, ...fields }) => {
+        const account = getAllowedAccount(socket, accountId);
+        if (!account || !jid) return;
+
+        const update = {};
+        for (const key of CRM_FIELDS) {
+            update[key] = String(fields[key] || '').trim().slice(0, 2000);
+        }
+        if (update.email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(update.email)) {
+            socket.emit('error', { message: 'E-mail inválido' });
+            return;
+        }
+        update.custom = {};
+        for (const [key, value] of Object.entries(fields.custom || {}).slice(0, 20)) {
+            const name = String(key).trim().slice(0, 40);
+            if (name) update.custom[name] = String(value ?? '').trim().slice(0, 500);
+        }
+
+        account.store.updateCrm(jid, update);
+        emitToAccount(account.id, 'contact-crm', formatContactCrm(account, jid));
+    });
+
+    // Stored message targeted by an action, if the account is usable
+    function getActionTarget(accountId, jid, messageId) {
+        const account = getAllowedAccount(socket, accountId);
+        if (!account || account.connectionState !== 'connected') {
+            socket.emit('error', { message: 'Conta não conectada' });
+            return {};
+        }
+        const msg = account.store.getMessage(jid, messageId);
+        if (!msg) {
+            socket.emit('error', { message: 'Mensagem não encontrada' });
+            return {};
+        }
+        if (msg.imported) {
+            socket.emit('error', { message: 'Mensagens importadas são somente leitura' });
+            return {};
+        }
+        return { account, msg };
+    }
+
+    // React with an emoji (empty emoji removes the reaction)
+    socket.on('react-message', async ({ accountId, jid, messageId, emoji }) => {
+        const { account, msg } = getActionTarget(accountId, jid, messageId);
+        if (!msg) return;
+        try {
+            await account.sock.sendMessage(jid, { react: { text: emoji || '', key: msg.key } });
+        } catch (err) {
+            console.error('Error reacting to message:', err);
+            socket.emit('error', { message: 'Erro ao reagir' });
+        }
+    });
+
+    socket.on('forward-message', async ({ accountId, jid, messageId, to }) => {
+        const { account, msg } = getActionTarget(accountId, jid, messageId);
+        if (!msg) return;
+        if (!Array.isArray(to) || to.length === 0) {
+            socket.emit('error', { message: 'Escolha ao menos uma conversa' });
+            return;
+        }
+        try {
+            for (const target of to) {
+                await forwardMessage(account, msg, target);
+            }
+            socket.emit('message-forwarded', { accountId, count: to.length });
+        } catch (err) {
+            console.error('Error forwarding message:', err);
+            socket.emit('error', { message: 'Erro ao encaminhar' });
+        }
+    });
+
+    // Only our own text messages can be edited
+    socket.on('edit-message', async ({ accountId, jid, messageId, text }) => {
+        const { account, msg } = getActionTarget(accountId, jid, messageId);
+        if (!msg) return;
+        if (!msg.key.fromMe || !text?.trim()) {
+            socket.emit('error', { message: 'Não é possível editar esta mensagem' });
+            return;
+        }
+        try {
+            await account.sock.sendMessage(jid, { text: text.trim(), edit: msg.key });
+        } catch (err) {
+            console.error('Error editing message:', err);
+            socket.emit('error', { message: 'Erro ao editar mensagem' });
+        }
+    });
+
+    // Delete for everyone
+    socket.on('delete-message', async ({ accountId, jid, messageId }) => {
+        const { account, msg } = getActionTarget(accountId, jid, messageId);
+        if (!msg) return;
+        if (!msg.key.fromMe) {
+            socket.emit('error', { message: 'Só é possível apagar suas mensagens' });
+            return;
+        }
+        try {
+            await account.sock.sendMessage(jid, { delete: msg.key });
+        } catch (err) {
+            console.error('Error deleting message:', err);
+            socket.emit('error', { message: 'Erro ao apagar mensagem' });
+        }
+    });
+
+    // ---- Scheduled messages ----
+
+    socket.on('get-scheduled', ({ accountId, jid }) => {
+        const account = getAllowedAccount(socket, accountId);
+        if (!account) return;
+        socket.emit('scheduled-update', { accountId, jid, items: scheduler.list(accountId, jid) });
+    });
+
+    // The account does not need to be connected now, only at the scheduled time
+    socket.on('schedule-message', ({ accountId, jid, text, type, media, fileName, mimetype, mentions, quickReplyId, sendAt }) => {
+        const account = getAllowedAccount(socket, accountId);
+        if (!account || !jid) return;
+
+        try {
+            let mediaHash = media ? mediaCache.put(Buffer.from(media, 'base64')) : null;
+            const replyMedia = !media && getQuickReplyMedia(accountId, quickReplyId);
+            if (replyMedia) {
+                ({ type, fileName, mimetype } = replyMedia);
+                mediaHash = replyMedia.hash;
+            }
+            const item = scheduler.schedule({
+                accountId,
+                jid,
+                type: type || 'text',
+                text,
+                mediaHash,
+                fileName,
+                mimetype,
+                mentions,
+                sendAt,
+                createdBy: socket.data.user.id
+            });
+            socket.emit('message-scheduled', { accountId, jid, id: item.id });
+            emitScheduledUpdate(accountId, jid);
+        } catch (err) {
+            socket.emit('error', { message: err.message });
+        }
+    });
+
+    socket.on('update-scheduled', ({ accountId, id, text, sendAt }) => {
+        const account = getAllowedAccount(socket, accountId);
+        const item = scheduler.get(id);
+        if (!account || item?.accountId !== accountId) return;
+
+        try {
+            scheduler.update(id, { text, sendAt });
+            emitScheduledUpdate(accountId, item.jid);
+        } catch (err) {
+            socket.emit('error', { message: err.message });
+        }
+    });
+
+    socket.on('cancel-scheduled', ({ accountId, id }) => {
+        const account = getAllowedAccount(socket, accountId);
+        const item = scheduler.get(id);
+        if (!account || item?.accountId !== accountId) return;
+
+        try {
+            scheduler.cancel(id);
+            emitScheduledUpdate(accountId, item.jid);
+        } catch (err) {
+            socket.emit('error', { message: err.message });
+        }
+    });
+
+    // ---- Quick replies ----
+
+    socket.on('get-quick-replies', ({ accountId }) => {
+        if (!getAllowedAccount(socket, accountId)) return;
+        socket.emit('quick-replies-update', { accountId, replies: quickReplies.list(accountId) });
+    });
+
+    // Shared replies (no account) are managed by admins only
+    function canManageQuickReply(accountId) {
+        if (!accountId) return requireAdmin(socket);
+        return !!getAllowedAccount(socket, accountId);
+    }
+
+    socket.on('save-quick-reply', ({ id, accountId, shared, shortcut, text, type, media, fileName, mimetype, removeMedia }) => {
+        const existing = id ? quickReplies.get(id) : null;
+        const scope = shared ? null : accountId;
+        if (!canManageQuickReply(scope) || (existing && !canManageQuickReply(existing.accountId))) return;
+
+        try {
+            let attachment;
+            if (media) {
+                attachment = { hash: mediaCache.put(Buffer.from(media, 'base64')), type, fileName, mimetype };
+            } else if (removeMedia) {
+                attachment = null;
+            }
+            quickReplies.saveReply({ id, accountId: scope, shortcut, text, media: attachment, createdBy: socket.data.user.id });
+            emitQuickRepliesUpdate(scope);
+            if (existing && existing.accountId !== scope) emitQuickRepliesUpdate(existing.accountId);
+        } catch (err) {
+            socket.emit('error', { message: err.message });
+        }
+    });
+
+    socket.on('delete-quick-reply', ({ id }) => {
+        const reply = quickReplies.get(id);
+        if (!reply || !canManageQuickReply(reply.accountId)) return;
+        quickReplies.remove(id);
+        emitQuickRepliesUpdate(reply.accountId);
+    });
+
+    // Fill a reply's placeholders for the open chat
+    socket.on('use-quick-reply', async ({ accountId, jid, id }) => {
+        const account = getAllowedAccount(socket, accountId);
+        const reply = quickReplies.get(id);
+        if (!account || !quickReplies.canUse(reply, accountId)) return;
+
+        const contactInfo = await getContactInfo(account, jid);
+        socket.emit('quick-reply-text', {
+            accountId,
+            jid,
+            id,
+            text: quickReplies.render(reply, { name: contactInfo.name, phone: getPhoneFromJid(jid) }),
+            media: reply.media ? { type: reply.media.type, fileName: reply.media.fileName } : null
+        });
+    });
+
+    // ---- Broadcasts ----
+
+    socket.on('get-broadcasts', ({ accountId }) => {
+        if (!getAllowedAccount(socket, accountId)) return;
+        socket.emit('broadcasts-update', { accountId, broadcasts: broadcasts.list(accountId).map(job => broadcasts.toSummary(job)) });
+    });
+
+    // A job of an account the user can see
+    function getBroadcastJob(id) {
+        const job = broadcasts.get(id);
+        return job && getAllowedAccount(socket, job.accountId) ? job : null;
+    }
+
+    socket.on('get-broadcast', ({ id }) => {
+        const job = getBroadcastJob(id);
+        if (job) socket.emit('broadcast-detail', job);
+    });
+
+    // `labelId` sends to every contact with that label instead of a typed list
+    socket.on('create-broadcast', ({ accountId, name, template, recipients, labelId, type, media, fileName, mimetype, minDelay, maxDelay }) => {
+        const account = getAllowedAccount(socket, accountId);
+        if (!account) return;
+        try {
+            if (labelId) recipients = getLabelRecipients(account, labelId);
+            const attachment = media
+                ? { hash: mediaCache.put(Buffer.from(media, 'base64')), type, fileName, mimetype }
+                : null;
+            const job = broadcasts.create({
+                accountId,
+                name,
+                template,
+                recipients,
+                media: attachment,
+                minDelay,
+                maxDelay,
+                createdBy: socket.data.user.id
+            });
+            socket.emit('broadcast-created', broadcasts.toSummary(job));
+            emitToAccount(accountId, 'broadcast-update', broadcasts.toSummary(job));
+        } catch (err) {
+            socket.emit('error', { message: err.message });
+        }
+    });
+
+    for (const action of ['pause', 'resume', 'cancel']) {
+        socket.on(`${action}-broadcast`, ({ id }) => {
+            const job = getBroadcastJob(id);
+            if (!job) return;
+            try {
+                broadcasts[action](id);
+            } catch (err) {
+                socket.emit('error', { message: err.message });
+            }
+        });
+    }
+
+    socket.on('delete-broadcast', ({ id }) => {
+        const job = getBroadcastJob(id);
+        if (!job) return;
+        try {
+            broadcasts.remove(id);
+            socket.emit('broadcasts-update', { accountId: job.accountId, broadcasts: broadcasts.list(job.accountId).map(j => broadcasts.toSummary(j)) });
+        } catch (err) {
+            socket.emit('error', { message: err.message });
+        }
+    });
+
+    // Get the latest page of messages for a chat, or the page around a message
+    // Stored messages are shown while the account is offline too
+    socket.on('get-messages', async ({ accountId, jid, limit, around }) => {
+        const account = getAllowedAccount(socket, accountId);
+        if (!account) return;
+
+        try {
+            const page = await getMessagesPage(account, jid, { around, limit: Math.min(limit || 50, 200) });
             const contactInfo = await getContactInfo(account, jid);
 
             const formattedMsgs = await Promise.all(
-                storedMsgs.map(msg => formatMessage(account, msg, true))
+                page.messages.map(msg => formatMessage(account, msg))
             );
 
             socket.emit('messages', {
@@ -876,30 +2839,95 @@ io.on('connection', (socket) => {
                 jid,
                 contact: contactInfo.name,
                 profilePic: contactInfo.profilePic,
-                messages: formattedMsgs.sort((a, b) => a.timestamp - b.timestamp)
+                messages: formattedMsgs,
+                hasMore: page.hasMore,
+                hasNewer: page.hasNewer,
+                fetching: !!page.older,
+                around: around || null
             });
+            sendOlderMessages(socket, account, jid, page.older);
 
-            const chat = account.chats.get(jid);
-            if (chat) {
-                chat.unreadCount = 0;
-                account.chats.set(jid, chat);
-            }
+            await markChatAsRead(account, jid);
         } catch (err) {
             console.error('Error getting messages:', err);
             socket.emit('error', { message: 'Erro ao carregar mensagens' });
         }
     });
 
+    // Load the page before a message id or timestamp (infinite scroll)
+    socket.on('get-older-messages', async ({ accountId, jid, before, beforeTimestamp, limit }) => {
+        const account = getAllowedAccount(socket, accountId);
+        if (!account) return;
+
+        try {
+            const page = await getMessagesPage(account, jid, { before, beforeTimestamp, limit: Math.min(limit || 50, 200) });
+            socket.emit('older-messages', {
+                accountId,
+                jid,
+                before,
+                messages: await Promise.all(page.messages.map(msg => formatMessage(account, msg))),
+                hasMore: page.hasMore,
+                fetching: !!page.older
+            });
+            sendOlderMessages(socket, account, jid, page.older);
+        } catch (err) {
+            console.error('Error getting older messages:', err);
+            socket.emit('error', { message: 'Erro ao carregar mensagens' });
+        }
+    });
+
+    // Full-text search over the messages of one or every allowed account.
+    // from/to are timestamps in ms.
+    socket.on('search-messages', ({ query, accountId, jid, sender, from, to, type, offset }) => {
+        let accountIds;
+        if (accountId) {
+            if (!getAllowedAccount(socket, accountId)) {
+                socket.emit('error', { message: 'Conta não encontrada' });
+                return;
+            }
+            accountIds = [accountId];
+        } else {
+            accountIds = getAccountsList(socket.data.user).map(acc => acc.id);
+        }
+
+        try {
+            const { results, total } = searchIndex.search({
+                query,
+                accountIds,
+                jid,
+                sender,
+                from: from ? Math.floor(Number(from) / 1000) : null,
+                to: to ? Math.floor(Number(to) / 1000) : null,
+                type,
+                offset: Math.max(0, Number(offset) || 0)
+            });
+
+            socket.emit('search-results', {
+                query,
+                offset: Number(offset) || 0,
+                total,
+                results: results.map(doc => {
+                    const account = accounts.get(doc.accountId);
+                    return {
+                        ...doc,
+                        accountName: account.name,
+                        chatName: lookupContactName(account, doc.jid) || getPhoneFromJid(doc.jid),
+                        sender: doc.fromMe ? null : (lookupContactName(account, doc.senderJid) || doc.pushName || getPhoneFromJid(doc.senderJid))
+                    };
+                })
+            });
+        } catch (err) {
+            socket.emit('error', { message: err.message });
+        }
+    });
+
     // Get history by period
     socket.on('get-history', async ({ accountId, jid, days, limit }) => {
-        const account = accounts.get(accountId);
-        if (!account || account.connectionState !== 'connected') {
-            socket.emit('error', { message: 'Conta não conectada' });
-            return;
-        }
+        const account = getAllowedAccount(socket, accountId);
+        if (!account) return;
 
         try {
-            const storedMsgs = account.messages.get(jid) || [];
+            const storedMsgs = account.store.getMessages(jid);
             const now = Math.floor(Date.now() / 1000);
             const startTime = now - (days * 24 * 60 * 60);
 
@@ -926,17 +2954,484 @@ io.on('connection', (socket) => {
         }
     });
 
+    // ---- Groups ----
+
+    socket.on('get-group-info', async ({ accountId, jid }) => {
+        const account = getAllowedAccount(socket, accountId);
+        if (!account || account.connectionState !== 'connected' || !jid?.endsWith('@g.us')) return;
+
+        try {
+            const metadata = await getGroupMetadata(account, jid, true);
+            socket.emit('group-info', { accountId, ...formatGroupInfo(account, metadata) });
+        } catch (err) {
+            console.error('Error getting group info:', err);
+            socket.emit('error', { message: 'Erro ao carregar dados do grupo' });
+        }
+    });
+
+    socket.on('create-group', async ({ accountId, subject, participants }) => {
+        if (!requireAdmin(socket)) return;
+        const account = getAllowedAccount(socket, accountId);
+        if (!account || account.connectionState !== 'connected') {
+            socket.emit('error', { message: 'Conta não conectada' });
+            return;
+        }
+        if (!subject?.trim() || !Array.isArray(participants) || participants.length === 0) {
+            socket.emit('error', { message: 'Informe o nome do grupo e ao menos um participante' });
+            return;
+        }
+
+        try {
+            const jids = await resolveParticipantJids(account, participants);
+            const metadata = await account.sock.groupCreate(subject.trim(), jids);
+            account.groups.set(metadata.id, metadata);
+            account.store.setContact(metadata.id, { name: metadata.subject, notify: metadata.subject });
+            socket.emit('group-created', { accountId, jid: metadata.id, subject: metadata.subject });
+        } catch (err) {
+            console.error('Error creating group:', err);
+            socket.emit('error', { message: err.message || 'Erro ao criar grupo' });
+        }
+    });
+
+    // Add or remove participants
+    socket.on('update-group-participants', async ({ accountId, jid, participants, action }) => {
+        if (!requireAdmin(socket)) return;
+        const account = getAllowedAccount(socket, accountId);
+        if (!account || account.connectionState !== 'connected') {
+            socket.emit('error', { message: 'Conta não conectada' });
+            return;
+        }
+        if (!['add', 'remove'].includes(action) || !Array.isArray(participants) || participants.length === 0) {
+            socket.emit('error', { message: 'Ação inválida' });
+            return;
+        }
+
+        try {
+            const jids = await resolveParticipantJids(account, participants);
+            const results = await account.sock.groupParticipantsUpdate(jid, jids, action);
+            const failed = results.filter(r => r.status !== '200');
+            if (failed.length > 0) {
+                socket.emit('error', { message: `Não foi possível atualizar ${failed.map(r => getPhoneFromJid(r.jid)).join(', ')}` });
+            }
+
+            const metadata = await getGroupMetadata(account, jid, true);
+            socket.emit('group-info', { accountId, ...formatGroupInfo(account, metadata) });
+        } catch (err) {
+            console.error('Error updating group participants:', err);
+            socket.emit('error', { message: err.message || 'Erro ao atualizar participantes' });
+        }
+    });
+
+    // ---- User management (admins only) ----
+
+    socket.on('get-users', () => {
+        if (!requireAdmin(socket)) return;
+        socket.emit('users-update', getUsersList());
+    });
+
+    socket.on('create-user', ({ username, password, role, accounts: accountIds }) => {
+        if (!requireAdmin(socket)) return;
+        try {
+            auth.createUser({ username, password, role, accounts: accountIds });
+            socket.emit('users-update', getUsersList());
+        } catch (err) {
+            socket.emit('error', { message: err.message });
+        }
+    });
+
+    socket.on('update-user', ({ userId, role, accounts: accountIds, password }) => {
+        if (!requireAdmin(socket)) return;
+        try {
+            auth.updateUser(userId, { role, accounts: accountIds, password }, socket.data.sessionToken);
+            if (password) {
+                // Logged out everywhere with the old password
+                for (const s of io.sockets.sockets.values()) {
+                    if (s.data.user.id === userId && s.data.sessionToken !== socket.data.sessionToken) s.disconnect(true);
+                }
+            }
+            refreshUserSockets(userId);
+            socket.emit('users-update', getUsersList());
+        } catch (err) {
+            socket.emit('error', { message: err.message });
+        }
+    });
+
+    socket.on('delete-user', ({ userId }) => {
+        if (!requireAdmin(socket)) return;
+        try {
+            auth.deleteUser(userId);
+            push.removeUser(userId);
+            for (const s of io.sockets.sockets.values()) {
+                if (s.data.user.id === userId) s.disconnect(true);
+            }
+            socket.emit('users-update', getUsersList());
+        } catch (err) {
+            socket.emit('error', { message: err.message });
+        }
+    });
+
+    // ---- API keys (admins only) ----
+
+    socket.on('get-api-keys', () => {
+        if (!requireAdmin(socket)) return;
+        socket.emit('api-keys-update', apiKeys.list());
+    });
+
+    socket.on('create-api-key', ({ name, accounts: accountIds }) => {
+        if (!requireAdmin(socket)) return;
+        try {
+            const { key, entry } = apiKeys.create({ name, accounts: accountIds });
+            socket.emit('api-key-created', { key, entry });
+            socket.emit('api-keys-update', apiKeys.list());
+        } catch (err) {
+            socket.emit('error', { message: err.message });
+        }
+    });
+
+    socket.on('delete-api-key', ({ keyId }) => {
+        if (!requireAdmin(socket)) return;
+        apiKeys.remove(keyId);
+        socket.emit('api-keys-update', apiKeys.list());
+    });
+
+    // ---- Webhooks (admins only) ----
+
+    socket.on('get-webhooks', () => {
+        if (!requireAdmin(socket)) return;
+        socket.emit('webhooks-update', webhooks.list().map(w => webhooks.toPublic(w)));
+    });
+
+    socket.on('save-webhook', async ({ id, accountId, url, events, enabled }) => {
+        if (!requireAdmin(socket)) return;
+        if (!accounts.has(accountId)) {
+            socket.emit('error', { message: 'Conta não encontrada' });
+            return;
+        }
+        try {
+            await webhooks.saveWebhook({ id, accountId, url, events, enabled });
+            socket.emit('webhooks-update', webhooks.list().map(w => webhooks.toPublic(w)));
+        } catch (err) {
+            socket.emit('error', { message: err.message });
+        }
+    });
+
+    socket.on('delete-webhook', ({ id }) => {
+        if (!requireAdmin(socket)) return;
+        webhooks.remove(id);
+        socket.emit('webhooks-update', webhooks.list().map(w => webhooks.toPublic(w)));
+    });
+
     socket.on('disconnect', () => {
         console.log('Cliente desconectado:', socket.id);
     });
 });
 
+// Auth routes
+app.post('/api/auth/login', (req, res) => {
+    const { username, password } = req.body || {};
+    let result;
+    try {
+        result = auth.login(username, password);
+    } catch (err) {
+        return res.status(429).json({ error: err.message });
+    }
+    if (!result) {
+        return res.status(401).json({ error: 'Usuário ou senha inválidos' });
+    }
+
+    res.cookie(SESSION_COOKIE, result.token, {
+        httpOnly: true,
+        sameSite: 'strict',
+        secure: req.secure,
+        maxAge: SESSION_TTL
+    });
+    res.json({ token: result.token, user: auth.toPublic(result.user) });
+});
+
+app.post('/api/auth/logout', requireAuth, (req, res) => {
+    auth.logout(req.sessionToken);
+    res.clearCookie(SESSION_COOKIE);
+
+    // Drop sockets opened with this session
+    for (const socket of io.sockets.sockets.values()) {
+        if (socket.data.sessionToken === req.sessionToken) {
+            socket.disconnect(true);
+        }
+    }
+    res.json({ success: true });
+});
+
+app.get('/api/auth/me', requireAuth, (req, res) => {
+    res.json({ user: auth.toPublic(req.user) });
+});
+
+app.post('/api/auth/password', requireAuth, (req, res) => {
+    const { currentPassword, newPassword } = req.body || {};
+    try {
+        auth.changePassword(req.user.id, currentPassword, newPassword, req.sessionToken);
+        for (const socket of io.sockets.sockets.values()) {
+            if (socket.data.user.id === req.user.id && socket.data.sessionToken !== req.sessionToken) {
+                socket.disconnect(true);
+            }
+        }
+        res.json({ success: true });
+    } catch (err) {
+        res.status(400).json({ error: err.message });
+    }
+});
+
+// Web Push subscriptions of the logged-in user
+app.get('/api/push/key', requireAuth, (req, res) => {
+    res.json({ publicKey: push.getPublicKey() });
+});
+
+app.post('/api/push/subscribe', requireAuth, async (req, res) => {
+    const { subscription, accountId } = req.body || {};
+    if (!accounts.has(accountId) || !auth.canAccessAccount(req.user, accountId)) {
+        return res.status(404).json({ error: 'Conta não encontrada' });
+    }
+    try {
+        await push.subscribe(req.user.id, accountId, subscription);
+        res.json({ success: true });
+    } catch (err) {
+        res.status(400).json({ error: err.message });
+    }
+});
+
+app.post('/api/push/unsubscribe', requireAuth, (req, res) => {
+    const { endpoint, accountId } = req.body || {};
+    if (!endpoint) {
+        return res.status(400).json({ error: 'Informe o endpoint' });
+    }
+    push.unsubscribe(req.user.id, endpoint, accountId);
+    res.json({ success: true });
+});
+
 // API Routes
-app.get('/api/status', (req, res) => {
-    res.json({ accounts: getAccountsList() });
+app.get('/api/status', requireAuth, (req, res) => {
+    const list = Array.from(accounts.values())
+        .filter(acc => auth.canAccessAccount(req.user, acc.id))
+        .map(acc => ({ ...acc.toJSON(), health: acc.getHealth() }));
+    res.json({ uptime: Math.round(process.uptime()), accounts: list });
+});
+
+// REST API for integrations (X-API-Key)
+app.use('/api/v1', createApiRouter({
+    accounts,
+    apiKeys,
+    webhooks,
+    upload,
+    getChatsPage,
+    CHAT_FILTERS,
+    getMessagesPage,
+    formatMessage,
+    sendChatMessage,
+    checkWhatsAppNumber,
+    sendChatExport
+}));
+
+// Download a chat (jid) or every chat of the account in a period as a zip
+app.get('/api/export/:accountId', requireAuth, async (req, res) => {
+    const account = accounts.get(req.params.accountId);
+    if (!account || !auth.canAccessAccount(req.user, account.id)) {
+        return res.status(404).json({ error: 'Conta não encontrada' });
+    }
+
+    try {
+        await sendChatExport(res, account, req.query);
+    } catch (err) {
+        console.error('Erro ao exportar conversa:', err);
+        if (res.headersSent) {
+            res.destroy(err);
+        } else {
+            res.status(500).json({ error: 'Erro ao exportar conversa' });
+        }
+    }
+});
+
+const INLINE_MEDIA_TYPES = /^(image|video|audio)\//;
+
+// Serve message media from the cache (downloading it on first access). Supports Range requests.
+app.get('/api/media/:accountId/:jid/:messageId', requireAuth, async (req, res) => {
+    const { accountId, jid, messageId } = req.params;
+    const account = accounts.get(accountId);
+    if (!account || !auth.canAccessAccount(req.user, accountId)) {
+        return res.status(404).json({ error: 'Conta não encontrada' });
+    }
+
+    const msg = account.store.getMessage(jid, messageId);
+    if (!msg) {
+        return res.status(404).json({ error: 'Mensagem não encontrada' });
+    }
+
+    try {
+        const file = await mediaCache.getFile(account, msg);
+        if (!file) {
+            return res.status(404).json({ error: 'Mensagem sem mídia' });
+        }
+
+        // Only media the browser plays is shown inline; anything else (HTML,
+        // SVG, PDF...) could run script on our origin, so it is downloaded
+        const type = file.mimetype.split(';')[0].trim().toLowerCase();
+        const inline = INLINE_MEDIA_TYPES.test(type) && type !== 'image/svg+xml';
+        res.type(type);
+        res.set('X-Content-Type-Options', 'nosniff');
+        if (req.query.download || !inline) {
+            res.attachment(file.fileName || messageId);
+        }
+        res.sendFile(file.path, { maxAge: '1y', immutable: true });
+    } catch (err) {
+        console.error('Erro ao servir mídia:', err.message);
+        res.status(502).json({ error: 'Não foi possível baixar a mídia' });
+    }
+});
+
+// Outcome of a broadcast, one line per recipient
+app.get('/api/broadcasts/:id/report.csv', requireAuth, (req, res) => {
+    const job = broadcasts.get(req.params.id);
+    if (!job || !auth.canAccessAccount(req.user, job.accountId)) {
+        return res.status(404).json({ error: 'Transmissão não encontrada' });
+    }
+    res.type('text/csv; charset=utf-8');
+    res.attachment(`transmissao-${job.id}.csv`);
+    res.send('\ufeff' + broadcasts.toCsv(job));
+});
+
+// Download the contacts of an account as vCard (format=vcf) or CSV
+app.get('/api/contacts/:accountId/export', requireAuth, (req, res) => {
+    const account = accounts.get(req.params.accountId);
+    if (!account || !auth.canAccessAccount(req.user, account.id)) {
+        return res.status(404).json({ error: 'Conta não encontrada' });
+    }
+    const { contacts } = listContacts(account, { limit: Infinity });
+    const entries = contacts.map(contact => ({ name: contact.name, number: contact.number }));
+    if (req.query.format === 'csv') {
+        res.type('text/csv; charset=utf-8');
+        res.attachment(`contatos-${account.name}.csv`);
+        res.send('\ufeff' + contactsToCsv(entries));
+    } else {
+        res.type('text/vcard; charset=utf-8');
+        res.attachment(`contatos-${account.name}.vcf`);
+        res.send(contactsToVcard(entries));
+    }
+});
+
+// Import a vCard or CSV address book. The numbers are checked on WhatsApp in
+// the background; progress arrives as contacts-import-progress.
+app.post('/api/contacts/:accountId/import', requireAuth, upload.single('file'), (req, res) => {
+    const account = accounts.get(req.params.accountId);
+    if (!account || !auth.canAccessAccount(req.user, account.id)) {
+        return res.status(404).json({ error: 'Conta não encontrada' });
+    }
+    if (!req.file) {
+        return res.status(400).json({ error: 'Nenhum arquivo enviado' });
+    }
+    if (account.connectionState !== 'connected') {
+        return res.status(409).json({ error: 'Conta não conectada' });
+    }
+    if (contactImports.has(account.id)) {
+        return res.status(409).json({ error: 'Já existe uma importação em andamento' });
+    }
+
+    let entries;
+    try {
+        entries = parseAddressBook(req.file.buffer, DEFAULT_COUNTRY_CODE);
+    } catch (err) {
+        return res.status(400).json({ error: err.message });
+    }
+    if (entries.length === 0) {
+        return res.status(400).json({ error: 'Nenhum número encontrado no arquivo' });
+    }
+
+    importAddressBook(account, entries).catch(err => console.error('Erro ao importar contatos:', err));
+    res.json({ total: entries.length });
+});
+
+// Import the .zip or .txt of WhatsApp's "Export chat" as read-only history of a
+// chat, given by jid or phone number. `ownName` is the sender that was the
+// phone's owner; when missing and it can't be guessed, the senders are returned.
+app.post('/api/import/:accountId', requireAuth, upload.single('file'), async (req, res) => {
+    const account = accounts.get(req.params.accountId);
+    if (!account || !auth.canAccessAccount(req.user, account.id)) {
+        return res.status(404).json({ error: 'Conta não encontrada' });
+    }
+    if (!req.file) {
+        return res.status(400).json({ error: 'Nenhum arquivo enviado' });
+    }
+    const { number, ownName, tz } = req.body;
+    const timeZone = resolveTimeZone(tz);
+    if (!timeZone) {
+        return res.status(400).json({ error: 'Fuso horário inválido' });
+    }
+
+    try {
+        let jid = req.body.jid;
+        if (!jid && number) {
+            if (account.connectionState !== 'connected') {
+                return res.status(409).json({ error: 'Conta não conectada' });
+            }
+            const result = await checkWhatsAppNumber(account, number);
+            if (!result.exists) {
+                return res.status(404).json({ error: 'Número não encontrado no WhatsApp' });
+            }
+            jid = result.jid;
+        }
+        if (!jid) {
+            return res.status(400).json({ error: 'Informe a conversa' });
+        }
+
+        let parsed;
+        try {
+            parsed = parseChatExport(req.file.buffer);
+        } catch (err) {
+            return res.status(400).json({ error: err.message });
+        }
+        if (parsed.messages.length === 0) {
+            return res.status(400).json({ error: 'Nenhuma mensagem reconhecida no arquivo' });
+        }
+
+        // In a two-person chat, the sender that isn't the contact is us
+        let own = ownName;
+        if (own === undefined) {
+            const others = parsed.senders.filter(sender => sender !== lookupContactName(account, jid));
+            if (parsed.senders.length !== 2 || others.length !== 1) {
+                return res.status(409).json({ error: 'Escolha qual remetente é você', senders: parsed.senders });
+            }
+            own = others[0];
+        }
+
+        const messages = buildImportedMessages(parsed, {
+            jid,
+            ownName: own,
+            timeZone,
+            storeMedia: (buffer, messageId) => {
+                const hash = mediaCache.put(buffer);
+                mediaCache.link(account.id, messageId, hash);
+                return hash;
+            }
+        });
+        const added = account.store.addMessages(jid, messages);
+        for (const msg of added) {
+            searchIndex.add(account.id, msg);
+        }
+        const imported = added.length;
+
+        if (!account.store.getChat(jid)) {
+            const last = messages[messages.length - 1];
+            account.store.setChat({ id: jid, unreadCount: 0, timestamp: last.messageTimestamp, lastMessage: await formatMessage(account, last) });
+        }
+        await emitChatsUpdate(account);
+        emitToAccount(account.id, 'chat-imported', { accountId: account.id, jid, count: imported });
+
+        console.log(`[${account.name}] ${imported} mensagens importadas em ${jid}`);
+        res.json({ jid, imported, skipped: messages.length - imported });
+    } catch (err) {
+        console.error('Erro ao importar conversa:', err);
+        res.status(500).json({ error: 'Erro ao importar conversa' });
+    }
 });
 
-app.post('/api/upload', upload.single('file'), (req, res) => {
+app.post('/api/upload', requireAuth, upload.single('file'), (req, res) => {
     if (!req.file) {
         return res.status(400).json({ error: 'Nenhum arquivo enviado' });
     }
@@ -950,10 +3445,34 @@ app.post('/api/upload', upload.single('file'), (req, res) => {
     });
 });
 
+// Write pending store changes before the process exits
+function shutdown() {
+    for (const account of accounts.values()) {
+        account.store.flush();
+    }
+    webhooks.flushQueue();
+    mediaCache.flushIndex();
+    process.exit(0);
+}
+
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown);
+
 // Load accounts and start server
 loadAccountsFromFile();
+scheduler.load();
+broadcasts.load();
+autoReplies.load();
+flows.load();
 
 server.listen(PORT, () => {
     console.log(`Servidor rodando em http://localhost:${PORT}`);
     console.log(`${accounts.size} conta(s) carregada(s)`);
+
+    // Bring back every account that was already paired
+    for (const account of accounts.values()) {
+        if (account.hasCredentials()) {
+            connectAccount(account);
+        }
+    }
 });
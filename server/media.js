@@ -0,0 +1,135 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { downloadMediaMessage, normalizeMessageContent } = require('@whiskeysockets/baileys');
+
+const MEDIA_TYPES = ['imageMessage', 'videoMessage', 'audioMessage', 'documentMessage', 'stickerMessage'];
+const SAVE_DELAY = 1000;
+
+// Find the media part of a message (image, video, audio, document or sticker)
+function getMediaContent(msg) {
+    const content = normalizeMessageContent(msg?.message);
+    if (!content) return null;
+    for (const type of MEDIA_TYPES) {
+        if (content[type]) return content[type];
+    }
+    return null;
+}
+
+function sha256(buffer) {
+    return crypto.createHash('sha256').update(buffer).digest('hex');
+}
+
+// Content-addressed media cache: every attachment is downloaded from WhatsApp
+// once and kept on disk under the SHA-256 of its content. Messages are linked
+// to files by the hash of what was actually downloaded for them, never by the
+// fileSha256 the sender put in the message, which could name another
+// account's file.
+class MediaCache {
+    constructor(folder, { logger }) {
+        this.folder = folder;
+        this.indexFile = path.join(folder, 'index.json');
+        this.logger = logger;
+        this.index = {};
+        this.saveTimer = null;
+        this.downloads = new Map();
+    }
+
+    load() {
+        if (!fs.existsSync(this.folder)) {
+            fs.mkdirSync(this.folder, { recursive: true });
+        }
+        try {
+            if (fs.existsSync(this.indexFile)) {
+                this.index = JSON.parse(fs.readFileSync(this.indexFile, 'utf-8'));
+            }
+        } catch (err) {
+            console.error('Erro ao carregar índice de mídia:', err);
+        }
+    }
+
+    // Written at most once per SAVE_DELAY, however many files are linked
+    saveIndex() {
+        if (!this.saveTimer) {
+            this.saveTimer = setTimeout(() => this.flushIndex(), SAVE_DELAY);
+        }
+    }
+
+    flushIndex() {
+        clearTimeout(this.saveTimer);
+        this.saveTimer = null;
+        try {
+            fs.writeFileSync(this.indexFile, JSON.stringify(this.index));
+        } catch (err) {
+            console.error('Erro ao salvar índice de mídia:', err);
+        }
+    }
+
+    filePath(hash) {
+        return path.join(this.folder, hash.slice(0, 2), hash);
+    }
+
+    has(hash) {
+        return !!hash && fs.existsSync(this.filePath(hash));
+    }
+
+    // Hash of a message's media, known once it was downloaded or sent
+    getHash(accountId, msg) {
+        return this.index[`${accountId}:${msg.key.id}`] || null;
+    }
+
+    // Store a buffer and return its hash
+    put(buffer) {
+        const hash = sha256(buffer);
+        const file = this.filePath(hash);
+        if (!fs.existsSync(file)) {
+            fs.mkdirSync(path.dirname(file), { recursive: true });
+            const tmp = `${file}.${process.pid}.tmp`;
+            fs.writeFileSync(tmp, buffer);
+            fs.renameSync(tmp, file);
+        }
+        return hash;
+    }
+
+    // Remember which file belongs to a message
+    link(accountId, messageId, hash) {
+        this.index[`${accountId}:${messageId}`] = hash;
+        this.saveIndex();
+    }
+
+    // Path to the cached file of a message, downloading it the first time
+    async getFile(account, msg) {
+        const media = getMediaContent(msg);
+        let hash = this.getHash(account.id, msg);
+        if (this.has(hash)) {
+            return { path: this.filePath(hash), mimetype: media?.mimetype || 'application/octet-stream', fileName: media?.fileName || null };
+        }
+        if (!media) return null;
+
+        const downloadKey = `${account.id}:${msg.key.id}`;
+        if (!this.downloads.has(downloadKey)) {
+            const download = downloadMediaMessage(msg, 'buffer', {}, {
+                logger: this.logger,
+                reuploadRequest: account.sock ? (m) => account.sock.updateMediaMessage(m) : undefined
+            }).then(buffer => {
+                const stored = this.put(buffer);
+                this.link(account.id, msg.key.id, stored);
+                return stored;
+            }).finally(() => this.downloads.delete(downloadKey));
+            this.downloads.set(downloadKey, download);
+        }
+
+        hash = await this.downloads.get(downloadKey);
+        return { path: this.filePath(hash), mimetype: media.mimetype || 'application/octet-stream', fileName: media.fileName || null };
+    }
+
+    // Download in the background so the file is there before the CDN link expires
+    prefetch(account, msg) {
+        if (!getMediaContent(msg)) return;
+        this.getFile(account, msg).catch(err => {
+            console.log(`[${account.name}] Erro ao baixar mídia ${msg.key.id}:`, err.message);
+        });
+    }
+}
+
+module.exports = { MediaCache, getMediaContent };
@@ -0,0 +1,71 @@
+const dns = require('dns');
+const net = require('net');
+
+// Addresses requests made on behalf of users (webhooks, push endpoints) must
+// not reach: loopback, link-local, private, multicast and unspecified ranges
+const BLOCKED_ADDRESSES = new net.BlockList();
+for (const [address, prefix] of [
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+    ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.168.0.0', 16], ['224.0.0.0', 4], ['240.0.0.0', 4]
+]) {
+    BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv4');
+}
+for (const [address, prefix] of [['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]) {
+    BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv6');
+}
+
+// IPv4-mapped IPv6 addresses are matched against the IPv4 ranges too
+function isBlockedAddress(address) {
+    return BLOCKED_ADDRESSES.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+}
+
+function blockedError() {
+    const err = new Error('Endereço não permitido (rede interna)');
+    err.code = 'EBLOCKED';
+    return err;
+}
+
+// dns.lookup for http(s) requests and agents that refuses internal addresses.
+// The connection goes to the address checked here, so a name that resolves
+// elsewhere on a second lookup (DNS rebinding) can't get past the check.
+function publicLookup(hostname, options, callback) {
+    if (typeof options === 'function') {
+        callback = options;
+        options = {};
+    }
+    dns.lookup(hostname, { ...options, all: true, verbatim: true }, (err, addresses) => {
+        if (err) return callback(err);
+        if (addresses.length === 0 || addresses.some(({ address }) => isBlockedAddress(address))) {
+            return callback(blockedError());
+        }
+        if (options.all) return callback(null, addresses);
+        callback(null, addresses[0].address, addresses[0].family);
+    });
+}
+
+// Check a URL given by a user before the server sends anything to it:
+// one of `protocols`, and a host that is not on the internal network
+async function checkPublicUrl(url, protocols = ['http:', 'https:']) {
+    let parsed;
+    try {
+        parsed = new URL(url);
+        if (!protocols.includes(parsed.protocol)) throw new Error();
+    } catch {
+        throw new Error('URL inválida');
+    }
+
+    const hostname = parsed.hostname.replace(/^\[|\]$/g, '');
+    if (net.isIP(hostname)) {
+        if (isBlockedAddress(hostname)) throw blockedError();
+        return parsed;
+    }
+    await new Promise((resolve, reject) => {
+        publicLookup(hostname, { all: true }, err => {
+            if (!err) resolve();
+            else reject(err.code === 'EBLOCKED' ? err : new Error('Não foi possível resolver o endereço'));
+        });
+    });
+    return parsed;
+}
+
+module.exports = { isBlockedAddress, publicLookup, checkPublicUrl };
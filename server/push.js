@@ -0,0 +1,122 @@
+const fs = require('fs');
+const https = require('https');
+const path = require('path');
+const webpush = require('web-push');
+const { publicLookup, checkPublicUrl } = require('./outbound');
+
+const PUSH_TTL = 24 * 60 * 60; // seconds the push service keeps an undelivered notification
+
+// Web Push (VAPID) subscriptions. Each browser subscribes once per user and
+// account, and gets a notification for new messages of that account.
+class PushManager {
+    constructor(folder, { subject } = {}) {
+        this.keysFile = path.join(folder, 'vapid.json');
+        this.file = path.join(folder, 'push-subscriptions.json');
+        this.subject = subject || 'mailto:admin@localhost';
+        this.subscriptions = [];
+        this.keys = null;
+        // Endpoints come from the browser; never connect to the internal network
+        this.agent = new https.Agent({ lookup: publicLookup });
+    }
+
+    load() {
+        try {
+            if (fs.existsSync(this.file)) {
+                this.subscriptions = JSON.parse(fs.readFileSync(this.file, 'utf-8'));
+            }
+        } catch (err) {
+            console.error('Erro ao carregar inscrições de push:', err);
+        }
+
+        // Keys come from the environment or are generated once and kept on disk
+        if (process.env.VAPID_PUBLIC_KEY && process.env.VAPID_PRIVATE_KEY) {
+            this.keys = { publicKey: process.env.VAPID_PUBLIC_KEY, privateKey: process.env.VAPID_PRIVATE_KEY };
+        } else if (fs.existsSync(this.keysFile)) {
+            this.keys = JSON.parse(fs.readFileSync(this.keysFile, 'utf-8'));
+        } else {
+            this.keys = webpush.generateVAPIDKeys();
+            fs.writeFileSync(this.keysFile, JSON.stringify(this.keys, null, 2));
+            console.log('Chaves VAPID geradas');
+        }
+        webpush.setVapidDetails(this.subject, this.keys.publicKey, this.keys.privateKey);
+    }
+
+    save() {
+        try {
+            fs.writeFileSync(this.file, JSON.stringify(this.subscriptions, null, 2));
+        } catch (err) {
+            console.error('Erro ao salvar inscrições de push:', err);
+        }
+    }
+
+    getPublicKey() {
+        return this.keys.publicKey;
+    }
+
+    async subscribe(userId, accountId, subscription) {
+        if (!subscription?.endpoint || !subscription.keys?.p256dh || !subscription.keys?.auth) {
+            throw new Error('Inscrição inválida');
+        }
+        await checkPublicUrl(subscription.endpoint, ['https:']);
+
+        const existing = this.subscriptions.find(s => s.endpoint === subscription.endpoint && s.accountId === accountId);
+        if (existing) {
+            Object.assign(existing, { userId, keys: subscription.keys });
+        } else {
+            this.subscriptions.push({
+                endpoint: subscription.endpoint,
+                keys: subscription.keys,
+                userId,
+                accountId,
+                createdAt: Date.now()
+            });
+        }
+        this.save();
+    }
+
+    // Without an account, the browser stops receiving notifications for all of the user's accounts
+    unsubscribe(userId, endpoint, accountId) {
+        this.subscriptions = this.subscriptions.filter(s =>
+            s.userId !== userId || s.endpoint !== endpoint || (accountId && s.accountId !== accountId)
+        );
+        this.save();
+    }
+
+    removeUser(userId) {
+        this.subscriptions = this.subscriptions.filter(s => s.userId !== userId);
+        this.save();
+    }
+
+    removeAccount(accountId) {
+        this.subscriptions = this.subscriptions.filter(s => s.accountId !== accountId);
+        this.save();
+    }
+
+    // Push a notification to the subscriptions of an account whose user passes `canReceive`
+    async notify(accountId, payload, canReceive = () => true) {
+        const targets = this.subscriptions.filter(s => s.accountId === accountId && canReceive(s.userId));
+        if (targets.length === 0) return;
+
+        const body = JSON.stringify(payload);
+        const expired = [];
+        await Promise.all(targets.map(async (sub) => {
+            try {
+                await webpush.sendNotification({ endpoint: sub.endpoint, keys: sub.keys }, body, { TTL: PUSH_TTL, agent: this.agent });
+            } catch (err) {
+                // 404/410: the browser dropped the subscription
+                if (err.statusCode === 404 || err.statusCode === 410) {
+                    expired.push(sub);
+                } else {
+                    console.error('Erro ao enviar push:', err.statusCode || err.message);
+                }
+            }
+        }));
+
+        if (expired.length > 0) {
+            this.subscriptions = this.subscriptions.filter(s => !expired.includes(s));
+            this.save();
+        }
+    }
+}
+
+module.exports = { PushManager };
@@ -0,0 +1,122 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const SHORTCUT_PATTERN = /^[a-z0-9_-]{1,30}$/;
+const MEDIA_TYPES = ['image', 'video', 'audio', 'document'];
+
+// Replace {nome}, {primeiro_nome}, {telefone}... with the contact's values.
+// Unknown placeholders are left as typed.
+function fillPlaceholders(text, values) {
+    return text.replace(/\{(\w+)\}/g, (match, key) =>
+        Object.hasOwn(values, key) && values[key] != null ? values[key] : match);
+}
+
+// Canned responses typed as /shortcut in the composer. A reply is either
+// shared by every account (accountId null) or scoped to one account.
+class QuickReplyManager {
+    constructor(folder) {
+        this.file = path.join(folder, 'quick-replies.json');
+        this.replies = [];
+    }
+
+    load() {
+        try {
+            if (fs.existsSync(this.file)) {
+                this.replies = JSON.parse(fs.readFileSync(this.file, 'utf-8'));
+            }
+        } catch (err) {
+            console.error('Erro ao carregar respostas rápidas:', err);
+        }
+    }
+
+    save() {
+        try {
+            fs.writeFileSync(this.file, JSON.stringify(this.replies, null, 2));
+        } catch (err) {
+            console.error('Erro ao salvar respostas rápidas:', err);
+        }
+    }
+
+    // Replies usable from an account: its own plus the shared ones
+    list(accountId) {
+        return this.replies
+            .filter(r => !r.accountId || r.accountId === accountId)
+            .sort((a, b) => a.shortcut.localeCompare(b.shortcut));
+    }
+
+    get(id) {
+        return this.replies.find(r => r.id === id);
+    }
+
+    canUse(reply, accountId) {
+        return !!reply && (!reply.accountId || reply.accountId === accountId);
+    }
+
+    // Create or update a reply. `media` is { hash, type, fileName, mimetype },
+    // null to remove the attachment, or undefined to keep it.
+    saveReply({ id, accountId = null, shortcut, text, media, createdBy }) {
+        shortcut = String(shortcut || '').trim().replace(/^\//, '').toLowerCase();
+        if (!SHORTCUT_PATTERN.test(shortcut)) {
+            throw new Error('Atalho inválido (use letras, números, - ou _)');
+        }
+
+        let reply = id ? this.get(id) : null;
+        if (id && !reply) {
+            throw new Error('Resposta rápida não encontrada');
+        }
+        if (media && !MEDIA_TYPES.includes(media.type)) {
+            throw new Error('Tipo de anexo inválido');
+        }
+        const hasMedia = media === undefined ? !!reply?.media : !!media;
+        if (!text?.trim() && !hasMedia) {
+            throw new Error('Informe o texto ou um anexo');
+        }
+
+        // A shortcut must be unique among the replies an account can see
+        const clash = this.replies.find(r => r !== reply && r.shortcut === shortcut &&
+            (!accountId || !r.accountId || r.accountId === accountId));
+        if (clash) {
+            throw new Error(`O atalho /${shortcut} já existe`);
+        }
+
+        if (reply) {
+            Object.assign(reply, { accountId, shortcut, text: text || '', updatedAt: Date.now() });
+            if (media !== undefined) reply.media = media;
+        } else {
+            reply = {
+                id: 'qr_' + crypto.randomBytes(6).toString('hex'),
+                accountId,
+                shortcut,
+                text: text || '',
+                media: media || null,
+                createdBy: createdBy || null,
+                createdAt: Date.now()
+            };
+            this.replies.push(reply);
+        }
+        this.save();
+        return reply;
+    }
+
+    remove(id) {
+        this.replies = this.replies.filter(r => r.id !== id);
+        this.save();
+    }
+
+    removeAccount(accountId) {
+        this.replies = this.replies.filter(r => r.accountId !== accountId);
+        this.save();
+    }
+
+    // Text of a reply filled in for a contact
+    render(reply, { name, phone }) {
+        return fillPlaceholders(reply.text, {
+            nome: name,
+            primeiro_nome: name?.split(' ')[0],
+            telefone: phone
+        });
+    }
+}
+
+module.exports = { QuickReplyManager, fillPlaceholders };
@@ -0,0 +1,192 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const MESSAGE_TYPES = ['text', 'image', 'audio', 'document', 'video', 'sticker'];
+const OFFLINE_GRACE = 5 * 60 * 1000; // how late a message may still be sent
+const OFFLINE_RETRY_DELAY = 15000;
+const MAX_TIMER_DELAY = 60 * 60 * 1000;
+const HISTORY_KEPT = 30 * 24 * 60 * 60 * 1000; // sent and failed entries stay listed for 30 days
+
+// Messages queued for a chat at a future time. The list is persisted on disk;
+// sending is done by the `send` function passed in by the server.
+class Scheduler {
+    constructor(folder, { send, isReady, onUpdate }) {
+        this.file = path.join(folder, 'scheduled.json');
+        this.send = send;
+        this.isReady = isReady;
+        this.onUpdate = onUpdate || (() => {});
+        this.items = [];
+        this.timer = null;
+        this.processing = false;
+    }
+
+    load() {
+        try {
+            if (fs.existsSync(this.file)) {
+                this.items = JSON.parse(fs.readFileSync(this.file, 'utf-8'));
+            }
+        } catch (err) {
+            console.error('Erro ao carregar agendamentos:', err);
+        }
+        this.scheduleNext();
+    }
+
+    save() {
+        try {
+            fs.writeFileSync(this.file, JSON.stringify(this.items, null, 2));
+        } catch (err) {
+            console.error('Erro ao salvar agendamentos:', err);
+        }
+    }
+
+    list(accountId, jid) {
+        return this.items
+            .filter(item => item.accountId === accountId && (!jid || item.jid === jid))
+            .sort((a, b) => a.sendAt - b.sendAt);
+    }
+
+    get(id) {
+        return this.items.find(item => item.id === id);
+    }
+
+    validate({ type, text, mediaHash, sendAt }) {
+        if (!MESSAGE_TYPES.includes(type)) {
+            throw new Error('Tipo de mensagem inválido');
+        }
+        if (type === 'text' ? !text?.trim() : !mediaHash) {
+            throw new Error(type === 'text' ? 'Informe o texto da mensagem' : 'Informe o arquivo');
+        }
+        if (!Number.isFinite(sendAt) || sendAt <= Date.now()) {
+            throw new Error('Escolha um horário no futuro');
+        }
+    }
+
+    schedule({ accountId, jid, type = 'text', text, mediaHash, fileName, mimetype, mentions, sendAt, createdBy }) {
+        sendAt = Number(sendAt);
+        this.validate({ type, text, mediaHash, sendAt });
+
+        const item = {
+            id: 'sch_' + crypto.randomBytes(6).toString('hex'),
+            accountId,
+            jid,
+            type,
+            text: text || '',
+            mediaHash: mediaHash || null,
+            fileName: fileName || null,
+            mimetype: mimetype || null,
+            mentions: Array.isArray(mentions) ? mentions : [],
+            sendAt,
+            status: 'pending',
+            error: null,
+            createdBy: createdBy || null,
+            createdAt: Date.now()
+        };
+        this.items.push(item);
+        this.save();
+        this.scheduleNext();
+        return item;
+    }
+
+    // Change the text or time of a message that was not sent yet
+    update(id, { text, sendAt }) {
+        const item = this.get(id);
+        if (!item || item.status !== 'pending') {
+            throw new Error('Agendamento não encontrado');
+        }
+
+        const changes = {
+            text: text === undefined ? item.text : text,
+            sendAt: sendAt === undefined ? item.sendAt : Number(sendAt)
+        };
+        this.validate({ ...item, ...changes });
+        Object.assign(item, changes);
+        this.save();
+        this.scheduleNext();
+        return item;
+    }
+
+    cancel(id) {
+        const item = this.get(id);
+        if (!item || item.status !== 'pending') {
+            throw new Error('Agendamento não encontrado');
+        }
+        this.items = this.items.filter(i => i !== item);
+        this.save();
+        this.scheduleNext();
+        return item;
+    }
+
+    removeAccount(accountId) {
+        this.items = this.items.filter(item => item.accountId !== accountId);
+        this.save();
+    }
+
+    scheduleNext(delay) {
+        clearTimeout(this.timer);
+        this.timer = null;
+
+        const pending = this.items.filter(item => item.status === 'pending');
+        if (pending.length === 0) return;
+
+        if (delay === undefined) {
+            const next = Math.min(...pending.map(item => item.sendAt));
+            delay = Math.max(0, next - Date.now());
+        }
+        this.timer = setTimeout(() => this.processDue(), Math.min(delay, MAX_TIMER_DELAY));
+    }
+
+    async processDue() {
+        if (this.processing) return;
+        this.processing = true;
+
+        let waiting = false;
+        try {
+            const now = Date.now();
+            const due = this.items.filter(item => item.status === 'pending' && item.sendAt <= now);
+
+            for (const item of due) {
+                // Missed while the account (or the server) was offline
+                if (now - item.sendAt > OFFLINE_GRACE) {
+                    this.finish(item, 'failed', 'Conta desconectada no horário agendado');
+                } else if (this.isReady(item.accountId)) {
+                    await this.deliver(item);
+                } else {
+                    waiting = true;
+                }
+            }
+
+            // Forget old history
+            const cutoff = now - HISTORY_KEPT;
+            this.items = this.items.filter(item => item.status === 'pending' || item.sendAt > cutoff);
+        } finally {
+            this.processing = false;
+            this.save();
+            if (waiting) {
+                this.scheduleNext(OFFLINE_RETRY_DELAY);
+            } else {
+                this.scheduleNext();
+            }
+        }
+    }
+
+    async deliver(item) {
+        try {
+            const sent = await this.send(item);
+            item.messageId = sent?.key?.id || null;
+            this.finish(item, 'sent');
+        } catch (err) {
+            console.error(`Erro ao enviar mensagem agendada ${item.id}:`, err.message);
+            this.finish(item, 'failed', err.message);
+        }
+    }
+
+    finish(item, status, error = null) {
+        item.status = status;
+        item.error = error;
+        item.finishedAt = Date.now();
+        this.onUpdate(item);
+    }
+}
+
+module.exports = { Scheduler };
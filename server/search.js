@@ -0,0 +1,172 @@
+const { normalizeMessageContent, WAMessageStubType } = require('@whiskeysockets/baileys');
+
+const MEDIA_TYPES = ['text', 'image', 'video', 'document'];
+const MAX_RESULTS = 100;
+
+// Lowercase, accentless words of a text: "Ação!" -> ["acao"]
+function tokenize(text) {
+    return String(text || '')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .split(/[^\p{L}\p{N}]+/u)
+        .filter(Boolean);
+}
+
+// Searchable part of a message: the text, a caption or a document's file name
+function describeMessage(msg) {
+    if (msg.messageStubType === WAMessageStubType.REVOKE) return null;
+    const content = normalizeMessageContent(msg.message);
+    if (!content) return null;
+
+    if (content.conversation || content.extendedTextMessage?.text) {
+        return { type: 'text', text: content.conversation || content.extendedTextMessage.text };
+    }
+    if (content.imageMessage?.caption) {
+        return { type: 'image', text: content.imageMessage.caption };
+    }
+    if (content.videoMessage?.caption) {
+        return { type: 'video', text: content.videoMessage.caption };
+    }
+    if (content.documentMessage) {
+        const { fileName, caption } = content.documentMessage;
+        const text = [fileName, caption].filter(Boolean).join('\n');
+        return text ? { type: 'document', text } : null;
+    }
+    return null;
+}
+
+function docKey(accountId, jid, id) {
+    return `${accountId}|${jid}|${id}`;
+}
+
+// In-memory inverted index over the messages of every account. It is rebuilt
+// from the stores at startup and kept up to date as messages arrive, change
+// or are deleted. `resolveName(accountId, jid)` gives a sender's display name.
+class SearchIndex {
+    constructor({ resolveName } = {}) {
+        this.resolveName = resolveName || (() => null);
+        this.docs = new Map(); // key -> indexed message
+        this.terms = new Map(); // word -> Set of keys
+    }
+
+    // Index every stored message of an account
+    addAccount(accountId, store) {
+        let total = 0;
+        for (const msgs of store.messages.values()) {
+            for (const msg of msgs) {
+                if (this.add(accountId, msg)) total++;
+            }
+        }
+        return total;
+    }
+
+    // (Re)index a message. Returns false when it has nothing searchable.
+    add(accountId, msg) {
+        const jid = msg.key.remoteJid;
+        const key = docKey(accountId, jid, msg.key.id);
+        this.removeKey(key);
+
+        const described = describeMessage(msg);
+        if (!described) return false;
+
+        const words = new Set(tokenize(described.text));
+        if (words.size === 0) return false;
+
+        this.docs.set(key, {
+            accountId,
+            jid,
+            id: msg.key.id,
+            fromMe: !!msg.key.fromMe,
+            senderJid: msg.key.fromMe ? null : (msg.key.participant || jid),
+            pushName: msg.pushName || null,
+            timestamp: Number(msg.messageTimestamp) || 0,
+            type: described.type,
+            text: described.text,
+            words
+        });
+        for (const word of words) {
+            if (!this.terms.has(word)) this.terms.set(word, new Set());
+            this.terms.get(word).add(key);
+        }
+        return true;
+    }
+
+    remove(accountId, jid, id) {
+        this.removeKey(docKey(accountId, jid, id));
+    }
+
+    removeKey(key) {
+        const doc = this.docs.get(key);
+        if (!doc) return;
+        for (const word of doc.words) {
+            const keys = this.terms.get(word);
+            keys.delete(key);
+            if (keys.size === 0) this.terms.delete(word);
+        }
+        this.docs.delete(key);
+    }
+
+    removeAccount(accountId) {
+        for (const [key, doc] of this.docs) {
+            if (doc.accountId === accountId) this.removeKey(key);
+        }
+    }
+
+    // Keys of the messages containing a word; the last word of a query also
+    // matches as a prefix, so results show up while typing.
+    lookup(word, prefix) {
+        if (!prefix) return this.terms.get(word) || new Set();
+        const keys = new Set();
+        for (const [term, termKeys] of this.terms) {
+            if (term.startsWith(word)) termKeys.forEach(key => keys.add(key));
+        }
+        return keys;
+    }
+
+    matchesSender(doc, sender) {
+        if (sender === 'me') return doc.fromMe;
+        if (doc.fromMe) return false;
+        const digits = sender.replace(/\D/g, '');
+        if (digits && doc.senderJid.split('@')[0].split(':')[0].includes(digits)) return true;
+        const name = this.resolveName(doc.accountId, doc.senderJid) || doc.pushName || '';
+        return tokenize(name).join(' ').includes(tokenize(sender).join(' '));
+    }
+
+    // Messages matching every word of `query`, newest first.
+    // from/to are Unix seconds; sender is 'me', a number or part of a name.
+    search({ query, accountIds, jid, sender, from, to, type, offset = 0, limit = 50 }) {
+        const words = tokenize(query);
+        if (words.length === 0) return { results: [], total: 0 };
+        if (type && !MEDIA_TYPES.includes(type)) {
+            throw new Error('Tipo de mensagem inválido');
+        }
+
+        const sets = words.map((word, i) => this.lookup(word, i === words.length - 1))
+            .sort((a, b) => a.size - b.size);
+        const accountsSet = accountIds ? new Set(accountIds) : null;
+        const senderFilter = String(sender || '').trim().toLowerCase();
+
+        const matches = [];
+        for (const key of sets[0]) {
+            if (!sets.every(set => set.has(key))) continue;
+            const doc = this.docs.get(key);
+            if (accountsSet && !accountsSet.has(doc.accountId)) continue;
+            if (jid && doc.jid !== jid) continue;
+            if (type && doc.type !== type) continue;
+            if (from && doc.timestamp < from) continue;
+            if (to && doc.timestamp > to) continue;
+            if (senderFilter && !this.matchesSender(doc, senderFilter)) continue;
+            matches.push(doc);
+        }
+
+        matches.sort((a, b) => b.timestamp - a.timestamp);
+        const page = matches.slice(offset, offset + Math.min(limit, MAX_RESULTS));
+        return {
+            results: page.map(({ words, ...doc }) => doc),
+            total: matches.length
+        };
+    }
+}
+
+module.exports = { SearchIndex };
@@ -0,0 +1,378 @@
+const fs = require('fs');
+const path = require('path');
+const { BufferJSON, toNumber } = require('@whiskeysockets/baileys');
+
+const SAVE_DELAY = 1000;
+
+// Storage for everything an account accumulates (chats, messages, contacts, names,
+// inbox, labels and CRM data).
+// The Maps are exposed for reads; writes must go through the methods so the
+// persistent drivers know what to save.
+class MemoryStore {
+    constructor(accountId) {
+        this.accountId = accountId;
+        this.chats = new Map();
+        this.messages = new Map();
+        this.contacts = new Map();
+        this.pushNames = new Map();
+        // Team inbox: jid -> { assignee, status, notes }, never sent to WhatsApp
+        this.inbox = new Map();
+        // Chat/contact labels (id -> label) and what operators noted about
+        // each contact (jid -> { labels, email, company, notes, custom })
+        this.labels = new Map();
+        this.crm = new Map();
+        // Profile picture URLs expire, so they are only cached in memory
+        this.profilePics = new Map();
+    }
+
+    // Hooks for persistent drivers
+    load() {}
+    persist(collection, jid) {}
+    flush() {}
+
+    destroy() {
+        this.reset();
+    }
+
+    // Drop everything and persist the empty collections
+    clear() {
+        for (const jid of this.messages.keys()) {
+            this.persist('messages', jid);
+        }
+        this.reset();
+        this.persist('chats');
+        this.persist('contacts');
+        this.persist('pushNames');
+        this.persist('inbox');
+        this.persist('labels');
+        this.persist('crm');
+    }
+
+    reset() {
+        this.chats.clear();
+        this.messages.clear();
+        this.contacts.clear();
+        this.pushNames.clear();
+        this.inbox.clear();
+        this.labels.clear();
+        this.crm.clear();
+        this.profilePics.clear();
+    }
+
+    // ---- Chats ----
+
+    getChat(jid) {
+        return this.chats.get(jid);
+    }
+
+    getChats() {
+        return Array.from(this.chats.values());
+    }
+
+    setChat(chat) {
+        this.chats.set(chat.id, chat);
+        this.persist('chats');
+        return chat;
+    }
+
+    updateChat(jid, update) {
+        const chat = this.chats.get(jid);
+        if (!chat) return null;
+        Object.assign(chat, update);
+        this.persist('chats');
+        return chat;
+    }
+
+    // ---- Messages ----
+
+    getMessages(jid) {
+        return this.messages.get(jid) || [];
+    }
+
+    getMessage(jid, id) {
+        return this.getMessages(jid).find(m => m.key.id === id);
+    }
+
+    // Insert a message keeping the chat sorted by timestamp. Returns false if it was already stored.
+    addMessage(msg) {
+        const jid = msg.key.remoteJid;
+        if (!this.messages.has(jid)) {
+            this.messages.set(jid, []);
+        }
+
+        const list = this.messages.get(jid);
+        if (list.some(m => m.key.id === msg.key.id)) {
+            return false;
+        }
+
+        msg.messageTimestamp = toNumber(msg.messageTimestamp) || Math.floor(Date.now() / 1000);
+
+        let index = list.length;
+        while (index > 0 && list[index - 1].messageTimestamp > msg.messageTimestamp) {
+            index--;
+        }
+        list.splice(index, 0, msg);
+
+        this.persist('messages', jid);
+        return true;
+    }
+
+    // Insert many messages of a chat at once, sorting the chat only once (imports).
+    // Returns the messages that were not stored yet.
+    addMessages(jid, msgs) {
+        if (!this.messages.has(jid)) {
+            this.messages.set(jid, []);
+        }
+
+        const list = this.messages.get(jid);
+        const known = new Set(list.map(m => m.key.id));
+        const added = [];
+        for (const msg of msgs) {
+            if (known.has(msg.key.id)) continue;
+            known.add(msg.key.id);
+            msg.messageTimestamp = toNumber(msg.messageTimestamp) || Math.floor(Date.now() / 1000);
+            added.push(msg);
+        }
+        if (added.length === 0) return added;
+
+        // Stable, so messages with the same timestamp keep their order
+        list.push(...added);
+        list.sort((a, b) => a.messageTimestamp - b.messageTimestamp);
+        this.persist('messages', jid);
+        return added;
+    }
+
+    updateMessage(jid, id, update) {
+        const msg = this.getMessage(jid, id);
+        if (!msg) return null;
+        Object.assign(msg, update);
+        this.persist('messages', jid);
+        return msg;
+    }
+
+    // ---- Contacts and names ----
+
+    getContact(id) {
+        return this.contacts.get(id);
+    }
+
+    setContact(id, data) {
+        this.contacts.set(id, data);
+        this.persist('contacts');
+        return data;
+    }
+
+    getPushName(key) {
+        return this.pushNames.get(key);
+    }
+
+    setPushName(key, name) {
+        this.pushNames.set(key, name);
+        this.persist('pushNames');
+    }
+
+    // ---- Team inbox ----
+
+    getInbox(jid) {
+        return this.inbox.get(jid);
+    }
+
+    updateInbox(jid, update) {
+        const entry = Object.assign(this.inbox.get(jid) || { assignee: null, status: 'open', notes: [] }, update);
+        this.inbox.set(jid, entry);
+        this.persist('inbox');
+        return entry;
+    }
+
+    // ---- Labels and CRM ----
+
+    getLabels() {
+        return Array.from(this.labels.values());
+    }
+
+    getLabel(id) {
+        return this.labels.get(id);
+    }
+
+    setLabel(label) {
+        this.labels.set(label.id, label);
+        this.persist('labels');
+        return label;
+    }
+
+    // Delete a label and take it off every contact
+    removeLabel(id) {
+        this.labels.delete(id);
+        this.persist('labels');
+        for (const entry of this.crm.values()) {
+            if (entry.labels.includes(id)) {
+                entry.labels = entry.labels.filter(l => l !== id);
+                this.persist('crm');
+            }
+        }
+    }
+
+    getCrm(jid) {
+        return this.crm.get(jid);
+    }
+
+    updateCrm(jid, update) {
+        const entry = Object.assign(this.crm.get(jid) || { labels: [], email: '', company: '', notes: '', custom: {} }, update);
+        this.crm.set(jid, entry);
+        this.persist('crm');
+        return entry;
+    }
+
+    getProfilePic(jid) {
+        return this.profilePics.get(jid);
+    }
+
+    hasProfilePic(jid) {
+        return this.profilePics.has(jid);
+    }
+
+    setProfilePic(jid, url) {
+        this.profilePics.set(jid, url);
+    }
+}
+
+// File-backed store: one JSON file per collection and one per chat for messages,
+// written in batches so a burst of history sync doesn't hit the disk per message.
+class FileStore extends MemoryStore {
+    constructor(accountId, folder) {
+        super(accountId);
+        this.folder = path.join(folder, accountId);
+        this.messagesFolder = path.join(this.folder, 'messages');
+        this.dirty = new Set();
+        this.saveTimer = null;
+    }
+
+    load() {
+        if (!fs.existsSync(this.messagesFolder)) {
+            fs.mkdirSync(this.messagesFolder, { recursive: true });
+        }
+
+        for (const chat of this.readFile('chats.json', [])) {
+            this.chats.set(chat.id, chat);
+        }
+        for (const [key, value] of Object.entries(this.readFile('contacts.json', {}))) {
+            this.contacts.set(key, value);
+        }
+        for (const [key, value] of Object.entries(this.readFile('pushNames.json', {}))) {
+            this.pushNames.set(key, value);
+        }
+        for (const [key, value] of Object.entries(this.readFile('inbox.json', {}))) {
+            this.inbox.set(key, value);
+        }
+        for (const label of this.readFile('labels.json', [])) {
+            this.labels.set(label.id, label);
+        }
+        for (const [key, value] of Object.entries(this.readFile('crm.json', {}))) {
+            this.crm.set(key, value);
+        }
+
+        let total = 0;
+        for (const file of fs.readdirSync(this.messagesFolder)) {
+            if (!file.endsWith('.json')) continue;
+            const msgs = this.readFile(path.join('messages', file), []);
+            if (msgs.length > 0) {
+                this.messages.set(msgs[0].key.remoteJid, msgs);
+                total += msgs.length;
+            }
+        }
+
+        console.log(`[store] ${this.accountId}: ${this.chats.size} chats, ${total} msgs carregados`);
+    }
+
+    readFile(name, fallback) {
+        const file = path.join(this.folder, name);
+        try {
+            if (fs.existsSync(file)) {
+                return JSON.parse(fs.readFileSync(file, 'utf-8'), BufferJSON.reviver);
+            }
+        } catch (err) {
+            console.error(`[store] Erro ao ler ${file}:`, err.message);
+        }
+        return fallback;
+    }
+
+    writeFile(name, data) {
+        const file = path.join(this.folder, name);
+        const tmp = file + '.tmp';
+        fs.writeFileSync(tmp, JSON.stringify(data, BufferJSON.replacer));
+        fs.renameSync(tmp, file);
+    }
+
+    messagesFile(jid) {
+        return path.join('messages', jid.replace(/[^a-zA-Z0-9@._-]/g, '_') + '.json');
+    }
+
+    persist(collection, jid) {
+        this.dirty.add(collection === 'messages' ? `messages:${jid}` : collection);
+        if (!this.saveTimer) {
+            this.saveTimer = setTimeout(() => this.flush(), SAVE_DELAY);
+        }
+    }
+
+    flush() {
+        clearTimeout(this.saveTimer);
+        this.saveTimer = null;
+
+        const dirty = Array.from(this.dirty);
+        this.dirty.clear();
+        if (dirty.length === 0 || !fs.existsSync(this.folder)) return;
+
+        for (const item of dirty) {
+            try {
+                if (item === 'chats') {
+                    this.writeFile('chats.json', this.getChats());
+                } else if (item === 'contacts') {
+                    this.writeFile('contacts.json', Object.fromEntries(this.contacts));
+                } else if (item === 'pushNames') {
+                    this.writeFile('pushNames.json', Object.fromEntries(this.pushNames));
+                } else if (item === 'inbox') {
+                    this.writeFile('inbox.json', Object.fromEntries(this.inbox));
+                } else if (item === 'labels') {
+                    this.writeFile('labels.json', this.getLabels());
+                } else if (item === 'crm') {
+                    this.writeFile('crm.json', Object.fromEntries(this.crm));
+                } else if (item.startsWith('messages:')) {
+                    const jid = item.slice('messages:'.length);
+                    const msgs = this.messages.get(jid);
+                    const file = this.messagesFile(jid);
+                    if (msgs && msgs.length > 0) {
+                        this.writeFile(file, msgs);
+                    } else {
+                        fs.rmSync(path.join(this.folder, file), { force: true });
+                    }
+                }
+            } catch (err) {
+                console.error(`[store] Erro ao salvar ${item} (${this.accountId}):`, err.message);
+            }
+        }
+    }
+
+    destroy() {
+        clearTimeout(this.saveTimer);
+        this.saveTimer = null;
+        this.dirty.clear();
+        fs.rmSync(this.folder, { recursive: true, force: true });
+        this.reset();
+    }
+}
+
+const drivers = {
+    memory: (accountId) => new MemoryStore(accountId),
+    file: (accountId, folder) => new FileStore(accountId, folder)
+};
+
+// Create the store for an account using the configured driver
+function createStore(driver, accountId, folder) {
+    const factory = drivers[driver];
+    if (!factory) {
+        throw new Error(`Driver de armazenamento desconhecido: ${driver}`);
+    }
+    return factory(accountId, folder);
+}
+
+module.exports = { createStore, MemoryStore, FileStore };
@@ -0,0 +1,78 @@
+// Minimal vCard (3.0/4.0) reading and writing, enough for WhatsApp contact cards
+
+// Undo line folding (continuation lines start with a space or tab)
+function unfold(text) {
+    return text.replace(/\r\n/g, '\n').replace(/\n[ \t]/g, '');
+}
+
+function unescapeValue(value) {
+    return value.replace(/\\n/gi, '\n').replace(/\\([,;\\])/g, '$1').trim();
+}
+
+// Parse one or more vCards into { name, phones: [{ number, waid }], emails, org }
+function parseVcards(text) {
+    const cards = [];
+    let current = null;
+
+    for (const line of unfold(text || '').split('\n')) {
+        const index = line.indexOf(':');
+        if (index < 0) continue;
+
+        const rawKey = line.slice(0, index);
+        const value = line.slice(index + 1);
+        const [name, ...params] = rawKey.split(';');
+        const key = name.replace(/^item\d+\./i, '').toUpperCase();
+
+        if (key === 'BEGIN' && value.trim().toUpperCase() === 'VCARD') {
+            current = { name: '', phones: [], emails: [], org: '' };
+        } else if (key === 'END' && current) {
+            if (!current.name && current.phones.length > 0) {
+                current.name = current.phones[0].number;
+            }
+            cards.push(current);
+            current = null;
+        } else if (!current) {
+            continue;
+        } else if (key === 'FN') {
+            current.name = unescapeValue(value);
+        } else if (key === 'N' && !current.name) {
+            const [last, first] = value.split(';');
+            current.name = unescapeValue([first, last].filter(Boolean).join(' '));
+        } else if (key === 'TEL') {
+            const waidParam = params.find(p => p.toLowerCase().startsWith('waid='));
+            const number = value.replace(/^tel:/i, '').trim();
+            current.phones.push({
+                number,
+                waid: (waidParam ? waidParam.split('=')[1] : number).replace(/\D/g, '') || null
+            });
+        } else if (key === 'EMAIL') {
+            current.emails.push(value.trim());
+        } else if (key === 'ORG') {
+            current.org = unescapeValue(value.split(';')[0]);
+        }
+    }
+
+    return cards;
+}
+
+function parseVcard(text) {
+    return parseVcards(text)[0] || null;
+}
+
+function escapeValue(value) {
+    return String(value || '').replace(/([,;\\])/g, '\\$1').replace(/\n/g, '\\n');
+}
+
+// vCard 3.0 of a contact { name, number }, with the waid WhatsApp uses to
+// recognise the number
+function formatVcard({ name, number }) {
+    return [
+        'BEGIN:VCARD',
+        'VERSION:3.0',
+        `FN:${escapeValue(name || `+${number}`)}`,
+        `TEL;type=CELL;waid=${number}:+${number}`,
+        'END:VCARD'
+    ].join('\r\n');
+}
+
+module.exports = { parseVcards, parseVcard, formatVcard };
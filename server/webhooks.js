@@ -0,0 +1,272 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const path = require('path');
+const { isBlockedAddress, publicLookup, checkPublicUrl } = require('./outbound');
+
+const WEBHOOK_EVENTS = ['messages.upsert', 'connection.update', 'message.status'];
+const REQUEST_TIMEOUT = 10000;
+const RETRY_BASE_DELAY = 5000;
+const RETRY_MAX_DELAY = 60 * 60 * 1000;
+const MAX_ATTEMPTS = 20;
+const MAX_FAILED_KEPT = 200;
+const SAVE_DELAY = 1000;
+
+// Sign a payload so receivers can check it came from us
+function signPayload(secret, body) {
+    return 'sha256=' + crypto.createHmac('sha256', secret).update(body).digest('hex');
+}
+
+// POST a body without following redirects. The host is resolved through
+// publicLookup, so the request can't be pointed at the internal network.
+function post(url, headers, body) {
+    return new Promise((resolve, reject) => {
+        const parsed = new URL(url);
+        const hostname = parsed.hostname.replace(/^\[|\]$/g, '');
+        if (net.isIP(hostname) && isBlockedAddress(hostname)) {
+            reject(new Error('Endereço não permitido (rede interna)'));
+            return;
+        }
+        const client = parsed.protocol === 'https:' ? https : http;
+        const req = client.request(parsed, {
+            method: 'POST',
+            headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+            lookup: publicLookup
+        }, res => {
+            res.resume();
+            res.on('end', () => {
+                clearTimeout(timer);
+                resolve(res.statusCode);
+            });
+        });
+        const timer = setTimeout(() => req.destroy(new Error('Tempo de resposta esgotado')), REQUEST_TIMEOUT);
+        req.on('error', err => {
+            clearTimeout(timer);
+            reject(err);
+        });
+        req.end(body);
+    });
+}
+
+// Outgoing webhooks. Deliveries go through a queue persisted on disk and are
+// retried with exponential backoff, so nothing is lost while a target is down.
+class WebhookManager {
+    constructor(folder) {
+        this.file = path.join(folder, 'webhooks.json');
+        this.queueFile = path.join(folder, 'webhook-queue.json');
+        this.webhooks = [];
+        this.queue = [];
+        this.failed = [];
+        this.timer = null;
+        this.saveTimer = null;
+        this.delivering = new Set(); // ids of webhooks with a delivery in progress
+    }
+
+    load() {
+        try {
+            if (fs.existsSync(this.file)) {
+                this.webhooks = JSON.parse(fs.readFileSync(this.file, 'utf-8'));
+            }
+            if (fs.existsSync(this.queueFile)) {
+                const data = JSON.parse(fs.readFileSync(this.queueFile, 'utf-8'));
+                this.queue = data.queue || [];
+                this.failed = data.failed || [];
+            }
+        } catch (err) {
+            console.error('Erro ao carregar webhooks:', err);
+        }
+        this.scheduleNext();
+    }
+
+    save() {
+        try {
+            fs.writeFileSync(this.file, JSON.stringify(this.webhooks, null, 2));
+        } catch (err) {
+            console.error('Erro ao salvar webhooks:', err);
+        }
+    }
+
+    // Written at most once per SAVE_DELAY, however many events are queued
+    saveQueue() {
+        if (!this.saveTimer) {
+            this.saveTimer = setTimeout(() => this.flushQueue(), SAVE_DELAY);
+        }
+    }
+
+    flushQueue() {
+        clearTimeout(this.saveTimer);
+        this.saveTimer = null;
+        try {
+            fs.writeFileSync(this.queueFile, JSON.stringify({ queue: this.queue, failed: this.failed }));
+        } catch (err) {
+            console.error('Erro ao salvar fila de webhooks:', err);
+        }
+    }
+
+    list(accountId) {
+        return this.webhooks.filter(w => !accountId || w.accountId === accountId);
+    }
+
+    get(id) {
+        return this.webhooks.find(w => w.id === id);
+    }
+
+    // Create or update a subscription
+    async saveWebhook({ id, accountId, url, events, enabled = true }) {
+        await checkPublicUrl(url);
+
+        const selected = (Array.isArray(events) && events.length > 0 ? events : WEBHOOK_EVENTS)
+            .filter(e => WEBHOOK_EVENTS.includes(e));
+        if (selected.length === 0) {
+            throw new Error('Nenhum evento válido');
+        }
+
+        let webhook = id ? this.get(id) : null;
+        if (id && !webhook) {
+            throw new Error('Webhook não encontrado');
+        }
+
+        if (webhook) {
+            Object.assign(webhook, { url, events: selected, enabled: !!enabled });
+        } else {
+            webhook = {
+                id: 'whk_' + crypto.randomBytes(6).toString('hex'),
+                accountId,
+                url,
+                secret: crypto.randomBytes(24).toString('hex'),
+                events: selected,
+                enabled: !!enabled,
+                createdAt: Date.now()
+            };
+            this.webhooks.push(webhook);
+        }
+        this.save();
+        return webhook;
+    }
+
+    remove(id) {
+        this.webhooks = this.webhooks.filter(w => w.id !== id);
+        this.queue = this.queue.filter(d => d.webhookId !== id);
+        this.save();
+        this.saveQueue();
+    }
+
+    removeAccount(accountId) {
+        for (const webhook of this.list(accountId)) {
+            this.remove(webhook.id);
+        }
+    }
+
+    // Queue an event for every subscription of the account that wants it
+    dispatch(accountId, event, data) {
+        const targets = this.webhooks.filter(w => w.enabled && w.accountId === accountId && w.events.includes(event));
+        if (targets.length === 0) return;
+
+        const timestamp = Date.now();
+        for (const webhook of targets) {
+            this.queue.push({
+                id: 'dlv_' + crypto.randomBytes(8).toString('hex'),
+                webhookId: webhook.id,
+                event,
+                payload: { event, accountId, timestamp, data },
+                attempts: 0,
+                nextAttemptAt: timestamp,
+                lastError: null
+            });
+        }
+        this.saveQueue();
+        this.scheduleNext(0);
+    }
+
+    scheduleNext(delay) {
+        clearTimeout(this.timer);
+        this.timer = null;
+        const waiting = this.queue.filter(d => !this.delivering.has(d.webhookId));
+        if (waiting.length === 0) return;
+
+        if (delay === undefined) {
+            const next = Math.min(...waiting.map(d => d.nextAttemptAt));
+            delay = Math.max(0, next - Date.now());
+        }
+        this.timer = setTimeout(() => this.processQueue(), Math.min(delay, RETRY_MAX_DELAY));
+    }
+
+    // Start delivering to every subscription with something due. Each one gets
+    // its deliveries in order, one at a time, so a slow or dead target only
+    // holds up itself.
+    processQueue() {
+        const now = Date.now();
+        const due = this.queue.filter(d => d.nextAttemptAt <= now && !this.delivering.has(d.webhookId));
+        for (const webhookId of new Set(due.map(d => d.webhookId))) {
+            this.deliverAll(webhookId);
+        }
+        this.scheduleNext();
+    }
+
+    async deliverAll(webhookId) {
+        this.delivering.add(webhookId);
+        try {
+            // Also picks up what was queued for it while sending
+            let delivery;
+            while ((delivery = this.queue.find(d => d.webhookId === webhookId && d.nextAttemptAt <= Date.now()))) {
+                await this.deliver(delivery);
+            }
+        } finally {
+            this.delivering.delete(webhookId);
+            this.saveQueue();
+            this.scheduleNext();
+        }
+    }
+
+    async deliver(delivery) {
+        const webhook = this.get(delivery.webhookId);
+        if (!webhook) {
+            this.queue = this.queue.filter(d => d !== delivery);
+            return;
+        }
+
+        const body = JSON.stringify({ id: delivery.id, ...delivery.payload });
+        try {
+            const status = await post(webhook.url, {
+                'Content-Type': 'application/json',
+                'User-Agent': 'ZapZap-Webhooks',
+                'X-ZapZap-Event': delivery.event,
+                'X-ZapZap-Delivery': delivery.id,
+                'X-ZapZap-Signature': signPayload(webhook.secret, body)
+            }, body);
+            if (status < 200 || status >= 300) {
+                throw new Error(`HTTP ${status}`);
+            }
+            this.queue = this.queue.filter(d => d !== delivery);
+        } catch (err) {
+            delivery.attempts++;
+            delivery.lastError = err.message;
+
+            if (delivery.attempts >= MAX_ATTEMPTS) {
+                console.error(`Webhook ${webhook.url} desistiu após ${delivery.attempts} tentativas: ${err.message}`);
+                this.queue = this.queue.filter(d => d !== delivery);
+                this.failed.push({ ...delivery, failedAt: Date.now() });
+                this.failed = this.failed.slice(-MAX_FAILED_KEPT);
+            } else {
+                const delay = Math.min(RETRY_BASE_DELAY * 2 ** (delivery.attempts - 1), RETRY_MAX_DELAY);
+                delivery.nextAttemptAt = Date.now() + delay;
+            }
+        }
+    }
+
+    // Pending and failed deliveries of a subscription
+    getStats(id) {
+        return {
+            pending: this.queue.filter(d => d.webhookId === id).length,
+            failed: this.failed.filter(d => d.webhookId === id).length
+        };
+    }
+
+    toPublic(webhook) {
+        return { ...webhook, ...this.getStats(webhook.id) };
+    }
+}
+
+module.exports = { WebhookManager, WEBHOOK_EVENTS, signPayload };
@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { matchesKeywords, isWithinHours, isUnsafePattern } = require('../server/auto-reply');
+
+const WEEKDAYS = { start: '08:00', end: '18:00' };
+// Closed on Sunday, open in the evening on Saturday until 02:00 on Sunday
+const HOURS = {
+    timeZone: 'America/Sao_Paulo',
+    days: [null, WEEKDAYS, WEEKDAYS, WEEKDAYS, WEEKDAYS, WEEKDAYS, { start: '20:00', end: '02:00' }]
+};
+
+// A moment given as São Paulo wall-clock time (UTC-3, no daylight saving since 2019)
+const at = (day, time) => new Date(`2024-06-${day}T${time}:00-03:00`);
+
+test('isWithinHours follows the opening hours of each weekday', () => {
+    // 2024-06-03 is a Monday
+    assert.strictEqual(isWithinHours(HOURS, at('03', '07:59')), false);
+    assert.strictEqual(isWithinHours(HOURS, at('03', '08:00')), true);
+    assert.strictEqual(isWithinHours(HOURS, at('03', '17:59')), true);
+    assert.strictEqual(isWithinHours(HOURS, at('03', '18:00')), false);
+});
+
+test('isWithinHours reads the time in the time zone of the hours', () => {
+    // 12:00 in São Paulo is 15:00 UTC, 16:00 in Lisbon
+    const lisbon = { ...HOURS, timeZone: 'Europe/Lisbon' };
+    assert.strictEqual(isWithinHours(lisbon, at('03', '12:00')), true);
+    assert.strictEqual(isWithinHours(lisbon, at('03', '15:30')), false);
+});
+
+test('isWithinHours handles shifts past midnight and closed days', () => {
+    // Saturday 2024-06-08, Sunday 2024-06-09
+    assert.strictEqual(isWithinHours(HOURS, at('08', '12:00')), false);
+    assert.strictEqual(isWithinHours(HOURS, at('08', '23:30')), true);
+    assert.strictEqual(isWithinHours(HOURS, at('09', '01:59')), true);
+    assert.strictEqual(isWithinHours(HOURS, at('09', '02:00')), false);
+    assert.strictEqual(isWithinHours(HOURS, at('09', '12:00')), false);
+});
+
+test('matchesKeywords matches whole words ignoring case and accents', () => {
+    assert.strictEqual(matchesKeywords('Qual o PREÇO?', 'valor, preco'), true);
+    assert.strictEqual(matchesKeywords('Qual o preço?', 'preç'), false);
+    assert.strictEqual(matchesKeywords('orçamento', 'preco, , '), false);
+    assert.strictEqual(matchesKeywords('quero um orçamento agora', 'orçamento agora'), true);
+});
+
+test('isUnsafePattern rejects repeated groups that repeat or alternate inside', () => {
+    for (const pattern of ['(a+)+$', '(a|ab)*c', '(\\d+\\s?)+x', '(a{2,})*', '((a|b)c)+', '(\\w)\\1', '(?<x>a)\\k<x>']) {
+        assert.strictEqual(isUnsafePattern(pattern), true, pattern);
+    }
+    for (const pattern of ['^(oi|olá)\\b', '(abc)+', '\\d+\\s*\\d+', '(?:oi)+', 'pre[çc]o.*', '(a+){1}', '([+*|])+', '[]a+', '\\(a+\\)+']) {
+        assert.strictEqual(isUnsafePattern(pattern), false, pattern);
+    }
+});
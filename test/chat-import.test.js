@@ -0,0 +1,95 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const AdmZip = require('adm-zip');
+const { parseChatExport, buildImportedMessages } = require('../server/chat-import');
+
+const ANDROID = [
+    '31/01/2024 14:05 - As mensagens e as chamadas são protegidas com a criptografia de ponta a ponta.',
+    '31/01/2024 14:05 - Ana: Oi, tudo bem?',
+    '31/01/2024 14:06 - Eu: Tudo! E você?',
+    'Segunda linha da mesma mensagem',
+    '01/02/2024 09:30 - Ana: IMG-20240201-WA0001.jpg (arquivo anexado)',
+    'Olha a foto'
+].join('\n');
+
+test('parseChatExport reads an Android export, skipping notices', () => {
+    const { messages, senders, files } = parseChatExport(Buffer.from(ANDROID));
+
+    assert.deepStrictEqual(senders, ['Ana', 'Eu']);
+    assert.strictEqual(files.size, 0);
+    assert.deepStrictEqual(messages.map(m => [m.sender, m.text, m.attachment]), [
+        ['Ana', 'Oi, tudo bem?', null],
+        ['Eu', 'Tudo! E você?\nSegunda linha da mesma mensagem', null],
+        ['Ana', 'Olha a foto', 'IMG-20240201-WA0001.jpg']
+    ]);
+    assert.deepStrictEqual(messages[2].time, { year: 2024, month: 2, day: 1, hour: 9, minute: 30, second: 0 });
+});
+
+test('parseChatExport reads an iOS export with a 12h clock and month first', () => {
+    const text = [
+        '\ufeff[1/31/24, 2:05:09 PM] Ana: Hi',
+        '[1/31/24, 12:10:00 AM] Me: <attached: 00000012-PHOTO-2024-01-31.jpg>'
+    ].join('\r\n');
+    const { messages } = parseChatExport(Buffer.from(text));
+
+    assert.deepStrictEqual(messages[0].time, { year: 2024, month: 1, day: 31, hour: 14, minute: 5, second: 9 });
+    assert.strictEqual(messages[1].time.hour, 0);
+    assert.strictEqual(messages[1].attachment, '00000012-PHOTO-2024-01-31.jpg');
+    assert.strictEqual(messages[1].text, '');
+});
+
+test('parseChatExport reads the conversation and attachments of a zip', () => {
+    const zip = new AdmZip();
+    zip.addFile('Conversa do WhatsApp com Ana.txt', Buffer.from(ANDROID));
+    zip.addFile('IMG-20240201-WA0001.jpg', Buffer.from('jpeg'));
+    const { messages, files } = parseChatExport(zip.toBuffer());
+
+    assert.strictEqual(messages.length, 3);
+    assert.deepStrictEqual(Array.from(files.keys()), ['IMG-20240201-WA0001.jpg']);
+});
+
+test('parseChatExport only reads the attachments the conversation names', () => {
+    const zip = new AdmZip();
+    zip.addFile('Conversa do WhatsApp com Ana.txt', Buffer.from(ANDROID));
+    zip.addFile('IMG-20240201-WA0001.jpg', Buffer.from('jpeg'));
+    zip.addFile('outro.jpg', Buffer.from('jpeg'));
+    assert.deepStrictEqual(Array.from(parseChatExport(zip.toBuffer()).files.keys()), ['IMG-20240201-WA0001.jpg']);
+});
+
+// Rewrite the uncompressed size the local and central headers declare
+function declareSize(buffer, size) {
+    for (let i = 0; i < buffer.length - 4; i++) {
+        const signature = buffer.readUInt32LE(i);
+        if (signature === 0x04034b50) buffer.writeUInt32LE(size, i + 22);
+        if (signature === 0x02014b50) buffer.writeUInt32LE(size, i + 24);
+    }
+    return buffer;
+}
+
+test('parseChatExport rejects entries that inflate past their declared size', () => {
+    const zip = new AdmZip();
+    zip.addFile('Conversa do WhatsApp com Ana.txt', Buffer.from(ANDROID + '\n' + ' '.repeat(100000)));
+    const buffer = zip.toBuffer();
+    assert.throws(() => parseChatExport(declareSize(Buffer.from(buffer), 0)), /grande demais ou está corrompido/);
+    assert.throws(() => parseChatExport(declareSize(Buffer.from(buffer), 1000)), /grande demais ou está corrompido/);
+});
+
+test('parseChatExport rejects a zip without the conversation', () => {
+    const zip = new AdmZip();
+    zip.addFile('foto.jpg', Buffer.from('jpeg'));
+    assert.throws(() => parseChatExport(zip.toBuffer()), /não contém a conversa/);
+});
+
+test('buildImportedMessages gives the same ids to the same export', () => {
+    const parsed = parseChatExport(Buffer.from(ANDROID));
+    const options = { jid: '5511987654321@s.whatsapp.net', ownName: 'Eu', timeZone: 'America/Sao_Paulo', storeMedia: () => 'ab' };
+    const first = buildImportedMessages(parsed, options);
+    const second = buildImportedMessages(parsed, options);
+
+    assert.deepStrictEqual(first.map(m => m.key.id), second.map(m => m.key.id));
+    assert.deepStrictEqual(first.map(m => m.key.fromMe), [false, true, false]);
+    // 14:05 in São Paulo (UTC-3)
+    assert.strictEqual(first[0].messageTimestamp, Date.UTC(2024, 0, 31, 17, 5) / 1000);
+    // The photo was exported without media
+    assert.strictEqual(first[2].message.conversation, '📎 IMG-20240201-WA0001.jpg\nOlha a foto');
+});
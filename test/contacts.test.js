@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { toInternationalNumber, parseAddressBook, contactsToCsv, contactsToVcard } = require('../server/contacts');
+
+test('toInternationalNumber adds the country code to national numbers', () => {
+    assert.strictEqual(toInternationalNumber('(11) 98765-4321', '55'), '5511987654321');
+    assert.strictEqual(toInternationalNumber('0 11 98765-4321', '55'), '5511987654321');
+    assert.strictEqual(toInternationalNumber('11 3333-4444', '55'), '551133334444');
+    // Area code 55 (Rio Grande do Sul) is not mistaken for the country code
+    assert.strictEqual(toInternationalNumber('(55) 99876-5432', '55'), '5555998765432');
+});
+
+test('toInternationalNumber keeps numbers that already carry a country code', () => {
+    assert.strictEqual(toInternationalNumber('+1 (415) 555-0100', '55'), '14155550100');
+    assert.strictEqual(toInternationalNumber('00351 912 345 678', '55'), '351912345678');
+    assert.strictEqual(toInternationalNumber('5511987654321', '55'), '5511987654321');
+    assert.strictEqual(toInternationalNumber('11987654321', ''), '11987654321');
+});
+
+test('parseAddressBook reads vCards, one entry per number', () => {
+    const vcf = [
+        'BEGIN:VCARD', 'FN:Maria', 'TEL:+55 11 98765-4321', 'TEL:(21) 99999-0000', 'END:VCARD',
+        'BEGIN:VCARD', 'FN:Maria de novo', 'TEL:11987654321', 'END:VCARD'
+    ].join('\r\n');
+
+    assert.deepStrictEqual(parseAddressBook(Buffer.from(vcf), '55'), [
+        { name: 'Maria', number: '5511987654321' },
+        { name: 'Maria', number: '5521999990000' }
+    ]);
+});
+
+test('parseAddressBook reads Google CSV exports by their header', () => {
+    const csv = [
+        '\ufeffName,Given Name,Phone 1 - Value',
+        '"Silva, João",João,+55 11 98765-4321 ::: +55 11 3333-4444',
+        'Sem telefone,,',
+        'Curto,,123'
+    ].join('\n');
+
+    assert.deepStrictEqual(parseAddressBook(Buffer.from(csv), '55'), [
+        { name: 'Silva, João', number: '5511987654321' },
+        { name: 'Silva, João', number: '551133334444' }
+    ]);
+});
+
+test('parseAddressBook reads headerless and semicolon CSVs', () => {
+    assert.deepStrictEqual(parseAddressBook(Buffer.from('Ana,11987654321\nBeto,21999990000\n'), '55'), [
+        { name: 'Ana', number: '5511987654321' },
+        { name: 'Beto', number: '5521999990000' }
+    ]);
+    assert.deepStrictEqual(parseAddressBook(Buffer.from('nome;celular\nAna;11987654321'), '55'), [
+        { name: 'Ana', number: '5511987654321' }
+    ]);
+    assert.throws(() => parseAddressBook(Buffer.from('nome,empresa\nAna,Loja'), '55'), /Coluna de telefone/);
+});
+
+test('parseAddressBook limits the size of an import', () => {
+    const lines = Array.from({ length: 5001 }, (_, i) => `Contato ${i},+1415${String(i).padStart(7, '0')}`);
+    assert.throws(() => parseAddressBook(Buffer.from(lines.join('\n')), '55'), /Limite de 5000/);
+});
+
+test('contacts export as CSV and vCard', () => {
+    const contacts = [{ name: 'Silva, João', number: '5511987654321' }, { name: '', number: '14155550100' }];
+
+    assert.strictEqual(contactsToCsv(contacts), 'nome,telefone\n"Silva, João",+5511987654321\n,+14155550100\n');
+    const vcf = contactsToVcard(contacts);
+    assert.deepStrictEqual(parseAddressBook(Buffer.from(vcf), '55'), [
+        { name: 'Silva, João', number: '5511987654321' },
+        { name: '+14155550100', number: '14155550100' }
+    ]);
+});
@@ -0,0 +1,113 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { FlowManager, validateStates } = require('../server/flows');
+
+const STATES = {
+    menu: {
+        prompt: 'Olá {primeiro_nome}! 1 - Vendas, 2 - Suporte',
+        input: 'choice',
+        options: [
+            { match: '1, vendas', label: 'Vendas', next: 'nome' },
+            { match: '2, suporte', label: 'Suporte', next: 'nome' }
+        ],
+        save: 'setor'
+    },
+    nome: { prompt: 'Qual é o seu nome?', input: 'text', save: 'nome', next: 'email' },
+    email: { prompt: 'E o seu e-mail?', input: 'email', save: 'email', retry: 'E-mail inválido.', next: 'fim' },
+    fim: { prompt: 'Obrigado, {nome}! Falamos de {setor} em {email}.', action: 'handover' }
+};
+
+test('validateStates fills in the defaults of each state', () => {
+    const states = validateStates(STATES, 'menu');
+    assert.deepStrictEqual(states.nome, {
+        prompt: 'Qual é o seu nome?', input: 'text', options: [], save: 'nome', next: 'email', retry: '', action: null
+    });
+    assert.strictEqual(states.fim.input, 'none');
+});
+
+test('validateStates rejects broken flows', () => {
+    const invalid = [
+        [null, 'menu', /Defina os estados/],
+        [{}, 'menu', /de 1 a 50 estados/],
+        [STATES, 'inicio', /Estado inicial "inicio" não existe/],
+        [STATES, 'constructor', /Estado inicial "constructor" não existe/],
+        [{ a: { prompt: 'A', input: 'audio' } }, 'a', /entrada inválida/],
+        [{ a: { prompt: 'A', action: 'transfer' } }, 'a', /ação inválida/],
+        [{ a: { prompt: 'A', input: 'text', action: 'end' } }, 'a', /não espera resposta/],
+        [{ a: {} }, 'a', /informe a mensagem/],
+        [{ a: { prompt: 'A', input: 'text', save: 'meu nome' } }, 'a', /nome de variável inválido/],
+        [{ a: { prompt: 'A', input: 'choice' } }, 'a', /informe as opções/],
+        [{ a: { prompt: 'A', input: 'choice', options: [{ match: ' ' }] } }, 'a', /opção sem palavras-chave/],
+        [{ a: { prompt: 'A', next: 'b' } }, 'a', /destino "b" não existe/],
+        [{ a: { prompt: 'A', next: 'toString' } }, 'a', /destino "toString" não existe/]
+    ];
+    for (const [states, start, message] of invalid) {
+        assert.throws(() => validateStates(states, start), message);
+    }
+});
+
+test('validateStates rejects loops of states that wait for no answer', () => {
+    assert.throws(() => validateStates({ a: { prompt: 'A', next: 'b' }, b: { prompt: 'B', next: 'a' } }, 'a'), /ciclo/);
+    assert.throws(() => validateStates({ a: { prompt: 'A', input: 'text', next: 'b' }, b: { prompt: 'B', next: 'b' } }, 'a'), /ciclo/);
+    // A loop through a state with input waits for the contact on every turn
+    assert.doesNotThrow(() => validateStates({ a: { prompt: 'A', input: 'text', next: 'b' }, b: { prompt: 'B', next: 'a' } }, 'a'));
+});
+
+test('readAnswer accepts only answers the state expects', () => {
+    const flows = new FlowManager(os.tmpdir(), { send: async () => {} });
+    const states = validateStates(STATES, 'menu');
+
+    assert.deepStrictEqual(flows.readAnswer(states.menu, 'Quero falar com VENDAS'), { value: 'Vendas', next: 'nome' });
+    assert.deepStrictEqual(flows.readAnswer(states.menu, '2'), { value: 'Suporte', next: 'nome' });
+    assert.strictEqual(flows.readAnswer(states.menu, '3'), null);
+
+    assert.deepStrictEqual(flows.readAnswer(states.email, 'Ana@Example.com'), { value: 'ana@example.com', next: 'fim' });
+    assert.strictEqual(flows.readAnswer(states.email, 'ana@'), null);
+
+    const number = { ...states.nome, input: 'number' };
+    assert.deepStrictEqual(flows.readAnswer(number, '12,5'), { value: '12,5', next: 'email' });
+    assert.strictEqual(flows.readAnswer(number, 'doze'), null);
+
+    assert.strictEqual(flows.readAnswer(states.nome, ''), null);
+    assert.strictEqual(flows.readAnswer(states.nome, 'x'.repeat(600)).value.length, 500);
+});
+
+test('a conversation walks the states, retries and hands over to a human', async (t) => {
+    const folder = fs.mkdtempSync(path.join(os.tmpdir(), 'flows-'));
+    t.after(() => fs.rmSync(folder, { recursive: true, force: true }));
+    const sent = [];
+    const handovers = [];
+    const flows = new FlowManager(folder, {
+        send: async (accountId, jid, text) => sent.push(text),
+        onHandover: async (accountId, jid, { vars }) => handovers.push(vars)
+    });
+    flows.saveFlow({ accountId: 'a1', name: 'Menu', trigger: 'keyword', pattern: 'oi, menu', start: 'menu', states: STATES });
+
+    const contact = { name: 'Ana Souza', phone: '5511987654321' };
+    const say = text => flows.handleMessage('a1', 'jid', { text, contact });
+
+    assert.strictEqual(await say('bom dia'), false);
+    assert.strictEqual(await say('Oi!'), true);
+    await say('1');
+    await say('Ana');
+    await say('não tenho');
+    await say('ana@example.com');
+
+    assert.deepStrictEqual(sent, [
+        'Olá Ana! 1 - Vendas, 2 - Suporte',
+        'Qual é o seu nome?',
+        'E o seu e-mail?',
+        'E-mail inválido.',
+        'Obrigado, Ana! Falamos de Vendas em ana@example.com.'
+    ]);
+    assert.strictEqual(handovers[0].setor, 'Vendas');
+    assert.strictEqual(flows.isPaused('a1', 'jid'), true);
+    assert.strictEqual(await say('oi'), false);
+
+    // Once resumed, the flow waits for its cooldown before starting again
+    flows.resume('a1', 'jid');
+    assert.strictEqual(await say('oi'), false);
+});
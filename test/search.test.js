@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { WAMessageStubType } = require('@whiskeysockets/baileys');
+const { SearchIndex } = require('../server/search');
+
+const CHAT = '5511987654321@s.whatsapp.net';
+const GROUP = '120363000000000000@g.us';
+
+function message(id, message, { jid = CHAT, fromMe = false, participant, pushName, timestamp = 1700000000 } = {}) {
+    return { key: { remoteJid: jid, id, fromMe, participant }, message, pushName, messageTimestamp: timestamp };
+}
+
+function createIndex() {
+    const names = { '5521999990000@s.whatsapp.net': 'Carlos Pereira' };
+    const index = new SearchIndex({ resolveName: (accountId, jid) => names[jid] || null });
+    index.add('a1', message('m1', { conversation: 'Qual é o preço da entrega?' }, { pushName: 'Ana', timestamp: 1700000100 }));
+    index.add('a1', message('m2', { extendedTextMessage: { text: 'A entrega custa R$ 10' } }, { fromMe: true, timestamp: 1700000200 }));
+    index.add('a1', message('m3', { imageMessage: { caption: 'Foto da entrega' } }, {
+        jid: GROUP, participant: '5521999990000@s.whatsapp.net', timestamp: 1700000300
+    }));
+    index.add('a1', message('m4', { documentMessage: { fileName: 'orcamento.pdf' } }, { timestamp: 1700000400 }));
+    index.add('a2', message('m5', { conversation: 'Entrega confirmada' }, { timestamp: 1700000500 }));
+    return index;
+}
+
+const ids = ({ results }) => results.map(result => result.id);
+
+test('search finds every message with all the words, newest first, ignoring case and accents', () => {
+    const index = createIndex();
+    assert.deepStrictEqual(ids(index.search({ query: 'ENTREGA' })), ['m5', 'm3', 'm2', 'm1']);
+    assert.deepStrictEqual(ids(index.search({ query: 'preco entrega' })), ['m1']);
+    assert.deepStrictEqual(ids(index.search({ query: 'orçamento' })), ['m4']);
+    assert.deepStrictEqual(index.search({ query: '  ' }), { results: [], total: 0 });
+});
+
+test('search matches the last word as a prefix', () => {
+    const index = createIndex();
+    assert.deepStrictEqual(ids(index.search({ query: 'entreg' })), ['m5', 'm3', 'm2', 'm1']);
+    assert.deepStrictEqual(ids(index.search({ query: 'entreg custa' })), []);
+});
+
+test('search filters by account, chat, type, period and sender', () => {
+    const index = createIndex();
+    assert.deepStrictEqual(ids(index.search({ query: 'entrega', accountIds: ['a1'] })), ['m3', 'm2', 'm1']);
+    assert.deepStrictEqual(ids(index.search({ query: 'entrega', jid: GROUP })), ['m3']);
+    assert.deepStrictEqual(ids(index.search({ query: 'entrega', type: 'image' })), ['m3']);
+    assert.deepStrictEqual(ids(index.search({ query: 'entrega', from: 1700000150, to: 1700000350 })), ['m3', 'm2']);
+    assert.deepStrictEqual(ids(index.search({ query: 'entrega', sender: 'me' })), ['m2']);
+    assert.deepStrictEqual(ids(index.search({ query: 'entrega', sender: 'carlos' })), ['m3']);
+    assert.deepStrictEqual(ids(index.search({ query: 'entrega', sender: '99999' })), ['m3']);
+    assert.deepStrictEqual(ids(index.search({ query: 'entrega', sender: 'Ana' })), ['m1']);
+    assert.throws(() => index.search({ query: 'entrega', type: 'sticker' }), /Tipo de mensagem inválido/);
+});
+
+test('search pages the results and reports the total', () => {
+    const index = createIndex();
+    const page = index.search({ query: 'entrega', offset: 1, limit: 2 });
+    assert.deepStrictEqual(ids(page), ['m3', 'm2']);
+    assert.strictEqual(page.total, 4);
+    assert.strictEqual(page.results[0].text, 'Foto da entrega');
+    assert.strictEqual(page.results[0].words, undefined);
+});
+
+test('edited and deleted messages are reindexed', () => {
+    const index = createIndex();
+    index.add('a1', message('m1', { conversation: 'Qual é o prazo?' }, { timestamp: 1700000100 }));
+    assert.deepStrictEqual(ids(index.search({ query: 'preco' })), []);
+    assert.deepStrictEqual(ids(index.search({ query: 'prazo' })), ['m1']);
+
+    index.add('a1', { ...message('m1', null), messageStubType: WAMessageStubType.REVOKE });
+    assert.deepStrictEqual(ids(index.search({ query: 'prazo' })), []);
+
+    index.remove('a1', CHAT, 'm2');
+    index.removeAccount('a2');
+    assert.deepStrictEqual(ids(index.search({ query: 'entrega' })), ['m3']);
+});
+
+test('addAccount indexes the stored messages of an account', () => {
+    const index = new SearchIndex();
+    const store = { messages: new Map([[CHAT, [message('m1', { conversation: 'olá' }), message('m2', { reactionMessage: {} })]]]) };
+    assert.strictEqual(index.addAccount('a1', store), 1);
+    assert.deepStrictEqual(ids(index.search({ query: 'ola' })), ['m1']);
+});
@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseVcards, parseVcard, formatVcard } = require('../server/vcard');
+
+test('parseVcard reads the name, numbers, emails and company of a card', () => {
+    const card = parseVcard([
+        'BEGIN:VCARD',
+        'VERSION:3.0',
+        'FN:Maria da Silva',
+        'ORG:Padaria Pão Quente;Vendas',
+        'item1.TEL;type=CELL;waid=5511987654321:+55 11 98765-4321',
+        'TEL;type=HOME:(11) 3333-4444',
+        'EMAIL;type=INTERNET:maria@example.com',
+        'END:VCARD'
+    ].join('\r\n'));
+
+    assert.deepStrictEqual(card, {
+        name: 'Maria da Silva',
+        phones: [
+            { number: '+55 11 98765-4321', waid: '5511987654321' },
+            { number: '(11) 3333-4444', waid: '1133334444' }
+        ],
+        emails: ['maria@example.com'],
+        org: 'Padaria Pão Quente'
+    });
+});
+
+test('parseVcards reads every card and unfolds continuation lines', () => {
+    const cards = parseVcards([
+        'BEGIN:VCARD',
+        'FN:João com um nome',
+        '  muito longo',
+        'TEL:+5521999990000',
+        'END:VCARD',
+        'BEGIN:VCARD',
+        'N:Souza;Ana;;;',
+        'TEL:+5531988887777',
+        'END:VCARD'
+    ].join('\n'));
+
+    assert.deepStrictEqual(cards.map(card => card.name), ['João com um nome muito longo', 'Ana Souza']);
+});
+
+test('parseVcard unescapes values and falls back to the number as name', () => {
+    assert.strictEqual(parseVcard('BEGIN:VCARD\nFN:Silva\\, Maria\\; Vendas\nEND:VCARD').name, 'Silva, Maria; Vendas');
+    assert.strictEqual(parseVcard('BEGIN:VCARD\nTEL:+5511987654321\nEND:VCARD').name, '+5511987654321');
+    assert.strictEqual(parseVcard('not a card'), null);
+});
+
+test('parseVcard keeps only the digits of the waid', () => {
+    const card = parseVcard("BEGIN:VCARD\nTEL;waid=55'});alert(1);//:+55 11\nEND:VCARD");
+    assert.strictEqual(card.phones[0].waid, '55');
+});
+
+test('formatVcard writes a card parseVcard reads back', () => {
+    const text = formatVcard({ name: 'Silva, Maria', number: '5511987654321' });
+    assert.match(text, /^BEGIN:VCARD\r\nVERSION:3\.0\r\n/);
+    assert.deepStrictEqual(parseVcard(text), {
+        name: 'Silva, Maria',
+        phones: [{ number: '+5511987654321', waid: '5511987654321' }],
+        emails: [],
+        org: ''
+    });
+    assert.match(formatVcard({ number: '5511987654321' }), /FN:\+5511987654321/);
+});